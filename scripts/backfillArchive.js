@@ -0,0 +1,109 @@
+/**
+ * Backfill the match archive from PandaScore history
+ * Usage: npm run backfill -- --from 2025-01-01 [--to 2025-03-31] [--rate 200]
+ *
+ * Finished matches in the range are written to the archive and recorded in team stats.
+ * Notifications, webhooks and the live feed are not involved.
+ *
+ * The server spends the same API key's hourly quota, so the script has its own lower rate
+ * (--rate, requests per hour) and pauses while PandaScore reports less than RESERVE requests left.
+ */
+require('dotenv').config();
+const redisClient = require('../src/config/redis');
+const storage = require('../src/storage');
+const pandascoreClient = require('../src/config/pandascoreClient');
+const matchArchive = require('../src/services/matchArchive');
+const teamStatsService = require('../src/services/teamStatsService');
+
+const PER_PAGE = 100;
+const DEFAULT_RATE = 200; // Requests per hour
+const RESERVE = 300; // Requests of the hourly quota left to the server
+const RESERVE_PAUSE = 5 * 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const formatDate = (d) => d.toISOString().split('.')[0] + 'Z';
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inline] = argv[i].split('=');
+        if (flag === '--from' || flag === '--to' || flag === '--rate') {
+            args[flag.slice(2)] = inline ?? argv[++i];
+        }
+    }
+    return args;
+}
+
+async function backfill(from, to) {
+    let page = 1;
+    let total = 0;
+
+    while (true) {
+        const remaining = pandascoreClient.getStats().upstreamRemaining;
+        if (remaining !== null && remaining < RESERVE) {
+            console.log(`⏸️ ${remaining} PandaScore requests left this hour, pausing to leave them to the server`);
+            await sleep(RESERVE_PAUSE);
+        }
+
+        const matches = await pandascoreClient.get('/csgo/matches', {
+            params: {
+                'sort': 'begin_at',
+                'filter[status]': 'finished',
+                'range[begin_at]': `${formatDate(from)},${formatDate(to)}`,
+                'per_page': PER_PAGE,
+                'page': page
+            },
+            timeout: 10000,
+            maxWait: Infinity // Wait for the script's own rate limit instead of failing
+        });
+
+        if (!matches || matches.length === 0) break;
+
+        total += await matchArchive.store(matches);
+        await teamStatsService.recordMatches(matches);
+        console.log(`📥 Page ${page}: ${matches.length} matches (up to ${matches[matches.length - 1].begin_at})`);
+
+        if (matches.length < PER_PAGE) break;
+        page++;
+    }
+
+    return total;
+}
+
+(async () => {
+    const args = parseArgs(process.argv.slice(2));
+    const from = new Date(args.from);
+    const to = args.to ? new Date(args.to) : new Date();
+    const rate = args.rate === undefined ? DEFAULT_RATE : Number(args.rate);
+
+    if (!args.from || Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to || !(rate > 0)) {
+        console.error('Usage: npm run backfill -- --from <date> [--to <date>] [--rate <requests per hour>]');
+        process.exit(1);
+    }
+    pandascoreClient.setRateLimit(Math.min(rate, pandascoreClient.RATE_LIMIT_PER_HOUR));
+
+    await redisClient.connect();
+    if (!redisClient.isConnected) {
+        console.error('❌ The archive is only durable in Redis: set REDIS_URL to backfill');
+        process.exit(1);
+    }
+    await storage.init();
+
+    const retentionStart = Date.now() - matchArchive.RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    if (from.getTime() < retentionStart) {
+        console.warn(`⚠️ Matches older than ${matchArchive.RETENTION_DAYS} days (ARCHIVE_RETENTION_DAYS) are skipped`);
+    }
+
+    try {
+        console.log(`🗄️ Backfilling finished matches from ${from.toISOString()} to ${to.toISOString()}...`);
+        const total = await backfill(from, to);
+        console.log(`✅ Archived ${total} matches`);
+    } catch (error) {
+        console.error('❌ Backfill failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await storage.close();
+        await redisClient.disconnect();
+    }
+})();
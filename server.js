@@ -3,9 +3,24 @@ const express = require('express');
 const cors = require('cors');
 const cron = require('node-cron');
 const redisClient = require('./src/config/redis');
+const storage = require('./src/storage');
+const pandascoreClient = require('./src/config/pandascoreClient');
 const pandascoreService = require('./src/services/pandascoreService');
+const matchStore = require('./src/services/matchStore');
+const matchArchive = require('./src/services/matchArchive');
 const notificationService = require('./src/services/notificationService');
+const notificationQueue = require('./src/services/notificationQueue');
+const transports = require('./src/transports');
+const tournamentsService = require('./src/services/tournamentsService');
+const teamStatsService = require('./src/services/teamStatsService');
 const teamsService = require('./src/services/teamsService');
+const liveFeedService = require('./src/services/liveFeedService');
+const leaderService = require('./src/services/leaderService');
+const localeService = require('./src/services/localeService');
+const { parseMatchQuery, applyMatchQuery, toStoreFilters, parseArchiveQuery, buildMatchesEtag } = require('./src/utils/matchQuery');
+const { FORMATS: BRACKET_FORMATS } = require('./src/utils/brackets');
+const { buildCalendar, buildCalendarEtag } = require('./src/utils/ical');
+const adminRoutes = require('./src/routes/admin');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -14,65 +29,231 @@ const PORT = process.env.PORT || 3001;
 app.use(cors());
 app.use(express.json());
 
-// Connect to Redis
-(async () => {
-    console.log('🚀 Server starting... (Version: Logos Endpoint Added)');
-    await redisClient.connect();
-})();
+// Scheduled jobs only run on the leader, so PandaScore is polled and users notified once
+const onLeader = (job) => () => {
+    if (leaderService.isLeader) {
+        job();
+    }
+};
 
-// Initial fetch
-pandascoreService.fetchMatches();
+// Registered once storage is ready (see startup below)
+function scheduleJobs() {
+    // Schedule fast updates for LIVE/RECENT matches (every 15 seconds)
+    cron.schedule('*/15 * * * * *', onLeader(() => {
+        // console.log('⚡ Cron: Fetching live matches...');
+        pandascoreService.fetchLiveMatches();
+    }));
 
-// Schedule fast updates for LIVE/RECENT matches (every 15 seconds)
-cron.schedule('*/15 * * * * *', () => {
-    // console.log('⚡ Cron: Fetching live matches...');
-    pandascoreService.fetchLiveMatches();
-});
+    // Schedule full updates for schedule/history (every 10 minutes)
+    cron.schedule('*/10 * * * *', onLeader(() => {
+        console.log('⏰ Cron: Fetching full schedule...');
+        pandascoreService.fetchMatches();
+    }));
 
-// Schedule full updates for schedule/history (every 10 minutes)
-cron.schedule('*/10 * * * *', () => {
-    console.log('⏰ Cron: Fetching full schedule...');
-    pandascoreService.fetchMatches();
-});
+    // Deliver notifications deferred by quiet hours (every minute)
+    cron.schedule('* * * * *', onLeader(() => {
+        notificationService.flushDeferredNotifications();
+    }));
+
+    // Move old matches from the cache to the archive and apply the archive retention (daily)
+    cron.schedule('30 3 * * *', onLeader(async () => {
+        await pandascoreService.pruneCache();
+        await matchArchive.prune();
+    }));
+
+    // Refresh leagues, series and tournaments (every 30 minutes)
+    cron.schedule('*/30 * * * *', onLeader(() => {
+        tournamentsService.refresh();
+    }));
+
+    // Retry resolving name-only favorites daily (team list changes, new aliases)
+    cron.schedule('0 4 * * *', onLeader(() => {
+        notificationService.migrateLegacyRegistrations();
+    }));
+}
 
 // ===== ROUTES =====
 
+// Respond with a cacheService.fetch() result, reporting cache state and age
+const sendCached = (res, { value, cache, age }) => {
+    res.set('X-Cache', cache);
+    res.set('Age', String(age));
+    if (cache === 'STALE') {
+        res.set('Warning', '110 - "Response is Stale"');
+    }
+    res.json(value);
+};
+
 // Health check
 app.get('/', (req, res) => {
     res.json({
         status: 'running',
         message: 'CS2 Esports Cache Server v2.0',
         environment: process.env.NODE_ENV,
-        redis: redisClient.isConnected ? 'connected' : 'disconnected'
+        redis: redisClient.isConnected ? 'connected' : 'disconnected',
+        storage: storage.name,
+        transports: transports.getStatus(),
+        instance: leaderService.getStatus(),
+        pandascore: pandascoreClient.getStats()
     });
 });
 
-// Get matches
+// Get matches (filters: status, team, league, serie, tournament, tier, from, to;
+// pagination: limit + page or cursor; sort: begin_at | -begin_at; delta sync: since)
+// Supports conditional GET (If-None-Match) based on the cache lastUpdate
 app.get('/matches', async (req, res) => {
     try {
-        const data = await pandascoreService.getMatches();
+        const { options, error } = parseMatchQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        // Conditional requests are answered before any match is loaded
+        const info = await pandascoreService.getCacheInfo();
+        if (!info) {
+            return res.status(503).json({ error: 'Service temporarily unavailable' });
+        }
+
+        if (info.lastUpdate) {
+            res.set({
+                'ETag': buildMatchesEtag(info.lastUpdate, req.query),
+                'Last-Modified': new Date(info.lastUpdate).toUTCString(),
+                'Cache-Control': 'no-cache'
+            });
+
+            // Only the ETag answers 304: Last-Modified has 1-second precision, so If-Modified-Since
+            // alone cannot tell apart two updates within the same second
+            if (req.get('If-None-Match') && req.fresh) {
+                return res.status(304).end();
+            }
+        }
+
+        if (options.since !== undefined) {
+            const delta = await pandascoreService.getMatchChanges(options.since);
+            const matches = applyMatchQuery(delta.matches, options).matches;
+            return res.json({
+                matches,
+                removed: delta.removed,
+                lastUpdate: delta.lastUpdate,
+                count: matches.length,
+                fullSync: delta.fullSync
+            });
+        }
+
+        const data = await pandascoreService.getMatches(toStoreFilters(options));
         if (!data) {
             return res.status(503).json({ error: 'Service temporarily unavailable' });
         }
-        res.json(data);
+
+        const result = applyMatchQuery(data.matches, options);
+        res.json({
+            matches: result.matches,
+            lastUpdate: data.lastUpdate,
+            count: result.matches.length,
+            total: result.total,
+            ...(result.page !== undefined && { page: result.page }),
+            nextCursor: result.nextCursor
+        });
     } catch (error) {
         console.error('Error in /matches:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
+// Live match feed (Server-Sent Events)
+// Optional filters: ?matches=1,2&teams=3,4 - reconnects resume from the Last-Event-ID header
+app.get('/matches/live/stream', (req, res) => {
+    const parseIds = (value) => value ? String(value).split(',').map(Number).filter(Number.isInteger) : undefined;
+
+    const filters = {
+        matchIds: parseIds(req.query.matches),
+        teamIds: parseIds(req.query.teams)
+    };
+
+    liveFeedService.addClient(req, res, filters);
+});
+
+// Archived finished matches (filters: team, tournament, from, to; sort: -begin_at | begin_at; limit + page)
+app.get('/archive/matches', async (req, res) => {
+    try {
+        const { options, error } = parseArchiveQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const result = await matchArchive.query(options);
+        res.json({
+            matches: result.matches,
+            count: result.matches.length,
+            total: result.total,
+            page: result.page,
+            hasMore: result.hasMore,
+            retentionDays: matchArchive.RETENTION_DAYS
+        });
+    } catch (error) {
+        console.error('Error in /archive/matches:', error);
+        res.status(500).json({ error: 'Failed to query the match archive' });
+    }
+});
+
+// Get a single match
+app.get('/matches/:id(\\d+)', async (req, res) => {
+    try {
+        const match = await pandascoreService.getMatch(req.params.id);
+        if (!match) {
+            return res.status(404).json({ error: 'Match not found' });
+        }
+        res.json(match);
+    } catch (error) {
+        console.error('Error in /matches/:id:', error);
+        res.status(error.statusCode || 500).json({ error: 'Failed to fetch match' });
+    }
+});
+
 // Register FCM token
 app.post('/notifications/register', async (req, res) => {
     try {
-        const { fcmToken, favoriteTeams, language } = req.body;
+        const { favoriteTeams, language, subscriptions, preferences, pushSubscription } = req.body;
+        const transport = req.body.transport || transports.DEFAULT;
+        // Web push registrations are identified by their subscription endpoint
+        const fcmToken = req.body.fcmToken || (transport === 'webpush' ? pushSubscription?.endpoint : undefined);
 
-        if (!fcmToken || !favoriteTeams) {
+        if (!fcmToken || (!favoriteTeams && !subscriptions)) {
             return res.status(400).json({
-                error: 'fcmToken and favoriteTeams are required'
+                error: 'fcmToken (or pushSubscription for web push) and favoriteTeams or subscriptions are required'
             });
         }
 
-        const result = await notificationService.registerToken(fcmToken, favoriteTeams, language || 'en');
+        if (!transports.get(transport)) {
+            return res.status(400).json({ error: `transport must be one of: ${transports.names.join(', ')}` });
+        }
+
+        if (transport === 'webpush' && !transports.get('webpush').isValidSubscription(pushSubscription)) {
+            return res.status(400).json({ error: 'pushSubscription must be a PushSubscription with endpoint and keys' });
+        }
+
+        if (favoriteTeams !== undefined && !notificationService.isValidFavoriteTeams(favoriteTeams)) {
+            return res.status(400).json({
+                error: `favoriteTeams must be an array of at most ${notificationService.FAVORITE_TEAMS_LIMIT} team names`
+            });
+        }
+
+        if (!notificationService.normalizeSubscriptions(subscriptions)) {
+            return res.status(400).json({ error: 'subscriptions must contain arrays of integer ids' });
+        }
+
+        if (preferences !== undefined && notificationService.normalizePreferences(preferences).error) {
+            return res.status(400).json({ error: notificationService.normalizePreferences(preferences).error });
+        }
+
+        const result = await notificationService.registerToken(
+            fcmToken,
+            favoriteTeams || [],
+            language || 'en',
+            subscriptions,
+            preferences,
+            { transport, pushSubscription: transport === 'webpush' ? pushSubscription : null }
+        );
         res.json(result);
     } catch (error) {
         console.error('Error in /notifications/register:', error);
@@ -80,6 +261,15 @@ app.post('/notifications/register', async (req, res) => {
     }
 });
 
+// VAPID public key for browsers subscribing to web push
+app.get('/notifications/webpush/key', (req, res) => {
+    const webPush = transports.get('webpush');
+    if (!webPush.available) {
+        return res.status(503).json({ error: 'Web push is not configured' });
+    }
+    res.json({ publicKey: webPush.publicKey });
+});
+
 // Unregister FCM token
 app.post('/notifications/unregister', async (req, res) => {
     try {
@@ -97,6 +287,128 @@ app.post('/notifications/unregister', async (req, res) => {
     }
 });
 
+// Follow / unfollow a single match, team, tournament, serie or league
+// Body: { fcmToken, type: 'matches' | 'teams' | 'tournaments' | 'series' | 'leagues', id }
+const handleSubscriptionChange = (subscribe) => async (req, res) => {
+    try {
+        const { fcmToken, type } = req.body;
+        const id = Number(req.body.id);
+
+        if (!fcmToken || !type || !Number.isInteger(id)) {
+            return res.status(400).json({ error: 'fcmToken, type and an integer id are required' });
+        }
+
+        if (!notificationService.SUBSCRIPTION_TYPES[type]) {
+            return res.status(400).json({
+                error: `type must be one of: ${Object.keys(notificationService.SUBSCRIPTION_TYPES).join(', ')}`
+            });
+        }
+
+        const result = await notificationService.updateSubscription(fcmToken, type, id, subscribe);
+        if (!result) {
+            return res.status(404).json({ error: 'FCM token is not registered' });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Error in /notifications/subscriptions:', error);
+        res.status(500).json({ error: 'Failed to update subscription' });
+    }
+};
+
+app.post('/notifications/subscriptions', handleSubscriptionChange(true));
+app.delete('/notifications/subscriptions', handleSubscriptionChange(false));
+
+// Get notification preferences
+app.get('/notifications/preferences', async (req, res) => {
+    try {
+        const { fcmToken } = req.query;
+        if (!fcmToken) {
+            return res.status(400).json({ error: 'fcmToken is required' });
+        }
+
+        const preferences = await notificationService.getPreferences(fcmToken);
+        if (!preferences) {
+            return res.status(404).json({ error: 'FCM token is not registered' });
+        }
+        res.json({ preferences });
+    } catch (error) {
+        console.error('Error in GET /notifications/preferences:', error);
+        res.status(500).json({ error: 'Failed to fetch preferences' });
+    }
+});
+
+// Update notification preferences (partial): { fcmToken, preferences: { events, quietHours, timezone } }
+app.put('/notifications/preferences', async (req, res) => {
+    try {
+        const { fcmToken, preferences } = req.body;
+        if (!fcmToken || !preferences) {
+            return res.status(400).json({ error: 'fcmToken and preferences are required' });
+        }
+
+        const result = await notificationService.updatePreferences(fcmToken, preferences);
+        if (!result) {
+            return res.status(404).json({ error: 'FCM token is not registered' });
+        }
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Error in PUT /notifications/preferences:', error);
+        res.status(500).json({ error: 'Failed to update preferences' });
+    }
+});
+
+// Notification inbox: ?fcmToken=...&limit=20&page=1
+app.get('/notifications/history', async (req, res) => {
+    try {
+        const { fcmToken } = req.query;
+        const limit = req.query.limit !== undefined ? Number(req.query.limit) : 20;
+        const page = req.query.page !== undefined ? Number(req.query.page) : 1;
+
+        if (!fcmToken) {
+            return res.status(400).json({ error: 'fcmToken is required' });
+        }
+        if (!Number.isInteger(limit) || limit < 1 || limit > 100 || !Number.isInteger(page) || page < 1) {
+            return res.status(400).json({ error: 'limit must be 1-100 and page a positive integer' });
+        }
+
+        const history = await notificationService.getHistory(fcmToken, { limit, page });
+        res.json(history);
+    } catch (error) {
+        console.error('Error in /notifications/history:', error);
+        res.status(500).json({ error: 'Failed to fetch notification history' });
+    }
+});
+
+// Mark inbox notifications as read: { fcmToken, ids?: [] } (all when ids is omitted)
+app.post('/notifications/history/read', async (req, res) => {
+    try {
+        const { fcmToken, ids } = req.body;
+
+        if (!fcmToken) {
+            return res.status(400).json({ error: 'fcmToken is required' });
+        }
+        if (ids !== undefined && !Array.isArray(ids)) {
+            return res.status(400).json({ error: 'ids must be an array' });
+        }
+
+        const unread = await notificationService.markHistoryRead(fcmToken, ids || null);
+        res.json({ success: true, unread });
+    } catch (error) {
+        console.error('Error in /notifications/history/read:', error);
+        res.status(500).json({ error: 'Failed to mark notifications as read' });
+    }
+});
+
+// Supported notification locales
+app.get('/locales', (req, res) => {
+    res.json({
+        default: localeService.DEFAULT_LOCALE,
+        locales: localeService.getSupportedLocales()
+    });
+});
+
 // Get team logos
 app.get('/teams/logos', async (req, res) => {
     try {
@@ -104,7 +416,7 @@ app.get('/teams/logos', async (req, res) => {
         res.json({ logos, count: Object.keys(logos).length });
     } catch (error) {
         console.error('Error in /teams/logos:', error);
-        res.status(500).json({ error: 'Failed to fetch team logos' });
+        res.status(error.statusCode || 500).json({ error: 'Failed to fetch team logos' });
     }
 });
 
@@ -116,11 +428,11 @@ app.get('/teams/search', async (req, res) => {
             return res.status(400).json({ error: 'Query parameter "q" is required' });
         }
 
-        const teams = await pandascoreService.searchTeams(query);
-        res.json(teams);
+        const result = await pandascoreService.searchTeams(query);
+        sendCached(res, result);
     } catch (error) {
         console.error('Error in /teams/search:', error);
-        res.status(500).json({ error: 'Failed to search teams' });
+        res.status(error.statusCode || 500).json({ error: 'Failed to search teams' });
     }
 });
 
@@ -128,11 +440,11 @@ app.get('/teams/search', async (req, res) => {
 app.get('/teams/:id', async (req, res) => {
     try {
         const teamId = req.params.id;
-        const team = await pandascoreService.getTeamDetails(teamId);
-        res.json(team);
+        const result = await pandascoreService.getTeamDetails(teamId);
+        sendCached(res, result);
     } catch (error) {
         console.error('Error in /teams/:id:', error);
-        res.status(500).json({ error: 'Failed to fetch team details' });
+        res.status(error.statusCode || 500).json({ error: 'Failed to fetch team details' });
     }
 });
 
@@ -140,26 +452,282 @@ app.get('/teams/:id', async (req, res) => {
 app.get('/teams/:id/players', async (req, res) => {
     try {
         const teamId = req.params.id;
-        const players = await pandascoreService.getTeamPlayers(teamId);
-        res.json(players);
+        const result = await pandascoreService.getTeamPlayers(teamId);
+        sendCached(res, result);
     } catch (error) {
         console.error('Error in /teams/:id/players:', error);
-        res.status(500).json({ error: 'Failed to fetch team players' });
+        res.status(error.statusCode || 500).json({ error: 'Failed to fetch team players' });
+    }
+});
+
+// Team form and statistics: ?last=N or ?from=...&to=... (all recorded matches when omitted)
+app.get('/teams/:id(\\d+)/stats', async (req, res) => {
+    try {
+        const { window, error } = teamStatsService.parseWindow(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const stats = await teamStatsService.getStats(Number(req.params.id), window);
+        res.json({ teamId: Number(req.params.id), window, ...stats });
+    } catch (error) {
+        console.error('Error in /teams/:id/stats:', error);
+        res.status(500).json({ error: 'Failed to fetch team stats' });
+    }
+});
+
+// Team results, newest first: ?last=N (default 20) or ?from=...&to=...
+app.get('/teams/:id(\\d+)/matches', async (req, res) => {
+    try {
+        const { window, error } = teamStatsService.parseWindow(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const matches = await teamStatsService.getResults(Number(req.params.id), window);
+        res.json({ teamId: Number(req.params.id), matches, count: matches.length });
+    } catch (error) {
+        console.error('Error in /teams/:id/matches:', error);
+        res.status(500).json({ error: 'Failed to fetch team matches' });
+    }
+});
+
+// Head-to-head record of two teams (from the first team's perspective)
+app.get('/teams/:id(\\d+)/h2h/:otherId(\\d+)', async (req, res) => {
+    try {
+        const teamId = Number(req.params.id);
+        const otherId = Number(req.params.otherId);
+        if (teamId === otherId) {
+            return res.status(400).json({ error: 'Two different teams are required' });
+        }
+
+        const result = await teamStatsService.getHeadToHead(teamId, otherId);
+        sendCached(res, result);
+    } catch (error) {
+        console.error('Error in /teams/:id/h2h/:otherId:', error);
+        res.status(error.statusCode || 500).json({ error: 'Failed to fetch head-to-head' });
+    }
+});
+
+// Leagues
+app.get('/leagues', async (req, res) => {
+    try {
+        const leagues = await tournamentsService.getLeagues();
+        res.json({ leagues, count: leagues.length });
+    } catch (error) {
+        console.error('Error in /leagues:', error);
+        res.status(error.statusCode || 500).json({ error: 'Failed to fetch leagues' });
+    }
+});
+
+// Series
+app.get('/series', async (req, res) => {
+    try {
+        const series = await tournamentsService.getSeries();
+        res.json({ series, count: series.length });
+    } catch (error) {
+        console.error('Error in /series:', error);
+        res.status(error.statusCode || 500).json({ error: 'Failed to fetch series' });
+    }
+});
+
+// Tournaments: ?filter=running|upcoming|past
+app.get('/tournaments', async (req, res) => {
+    try {
+        const filter = req.query.filter || null;
+        if (filter && !tournamentsService.FILTERS.includes(filter)) {
+            return res.status(400).json({ error: `filter must be one of: ${tournamentsService.FILTERS.join(', ')}` });
+        }
+
+        const tournaments = await tournamentsService.getTournaments(filter);
+        res.json({ tournaments, count: tournaments.length });
+    } catch (error) {
+        console.error('Error in /tournaments:', error);
+        res.status(error.statusCode || 500).json({ error: 'Failed to fetch tournaments' });
+    }
+});
+
+// Tournament details
+app.get('/tournaments/:id(\\d+)', async (req, res) => {
+    try {
+        const tournament = await tournamentsService.getTournament(req.params.id);
+        if (!tournament) {
+            return res.status(404).json({ error: 'Tournament not found' });
+        }
+        res.json(tournament);
+    } catch (error) {
+        console.error('Error in /tournaments/:id:', error);
+        res.status(error.statusCode || 500).json({ error: 'Failed to fetch tournament' });
+    }
+});
+
+// Tournament standings (group tables or bracket placements)
+app.get('/tournaments/:id(\\d+)/standings', async (req, res) => {
+    try {
+        const result = await tournamentsService.getStandings(req.params.id);
+        if (!result) {
+            return res.status(404).json({ error: 'Tournament not found' });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Error in /tournaments/:id/standings:', error);
+        res.status(error.statusCode || 500).json({ error: 'Failed to fetch standings' });
+    }
+});
+
+// Tournament bracket: ?format=single_elimination|double_elimination|swiss (detected when omitted)
+app.get('/tournaments/:id(\\d+)/brackets', async (req, res) => {
+    try {
+        const format = req.query.format || null;
+        if (format && !BRACKET_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `format must be one of: ${BRACKET_FORMATS.join(', ')}` });
+        }
+
+        const bracket = await tournamentsService.getBracket(req.params.id, format);
+        if (!bracket) {
+            return res.status(404).json({ error: 'Tournament not found' });
+        }
+        res.json(bracket);
+    } catch (error) {
+        console.error('Error in /tournaments/:id/brackets:', error);
+        res.status(error.statusCode || 500).json({ error: 'Failed to fetch bracket' });
+    }
+});
+
+// Tournament matches
+app.get('/tournaments/:id(\\d+)/matches', async (req, res) => {
+    try {
+        const result = await tournamentsService.getTournamentMatches(req.params.id);
+        if (!result) {
+            return res.status(404).json({ error: 'Tournament not found' });
+        }
+        res.json({ matches: result.matches, count: result.matches.length, source: result.source });
+    } catch (error) {
+        console.error('Error in /tournaments/:id/matches:', error);
+        res.status(error.statusCode || 500).json({ error: 'Failed to fetch tournament matches' });
     }
 });
 
+// ===== CALENDAR FEEDS (iCalendar) =====
+
+// Respond with a calendar of cached matches, answering 304 while its content is unchanged
+const sendCalendar = async (req, res, { name, description, filters, filter = () => true }) => {
+    const data = await pandascoreService.getMatches(filters);
+    if (!data) {
+        return res.status(503).json({ error: 'Service temporarily unavailable' });
+    }
+
+    const matches = data.matches.filter(filter);
+    const calendar = buildCalendar({ name: name(matches), description, matches });
+
+    res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'ETag': buildCalendarEtag(calendar),
+        'Cache-Control': 'no-cache'
+    });
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+    res.send(calendar);
+};
+
+// Matches of one team
+app.get('/calendar/teams/:id(\\d+).ics', async (req, res) => {
+    try {
+        const teamId = Number(req.params.id);
+        await sendCalendar(req, res, {
+            name: (matches) => {
+                const team = matches.flatMap(m => m.opponents || []).find(o => o.opponent?.id === teamId)?.opponent;
+                return `${team?.name || `Team ${teamId}`} - CS2 matches`;
+            },
+            filters: { teamIds: [teamId] }
+        });
+    } catch (error) {
+        console.error('Error in /calendar/teams/:id.ics:', error);
+        res.status(500).json({ error: 'Failed to build calendar' });
+    }
+});
+
+// Custom feed for a set of teams: /calendar/teams.ics?teams=1,2,3
+app.get('/calendar/teams.ics', async (req, res) => {
+    try {
+        const teamIds = String(req.query.teams || '').split(',').filter(Boolean).map(Number);
+        if (teamIds.length === 0 || !teamIds.every(Number.isInteger)) {
+            return res.status(400).json({ error: 'teams must be a comma separated list of team ids' });
+        }
+
+        await sendCalendar(req, res, {
+            name: () => 'CS2 matches - my teams',
+            filters: { teamIds }
+        });
+    } catch (error) {
+        console.error('Error in /calendar/teams.ics:', error);
+        res.status(500).json({ error: 'Failed to build calendar' });
+    }
+});
+
+// Matches of one tournament
+app.get('/calendar/tournaments/:id(\\d+).ics', async (req, res) => {
+    try {
+        const tournamentId = Number(req.params.id);
+        await sendCalendar(req, res, {
+            name: (matches) => {
+                const match = matches[0];
+                const title = [match?.league?.name, match?.tournament?.name].filter(Boolean).join(' ');
+                return `${title || `Tournament ${tournamentId}`} - CS2 matches`;
+            },
+            filter: (match) => match.tournament_id === tournamentId
+        });
+    } catch (error) {
+        console.error('Error in /calendar/tournaments/:id.ics:', error);
+        res.status(500).json({ error: 'Failed to build calendar' });
+    }
+});
+
+// Admin API (requires ADMIN_API_KEY)
+app.use('/admin', adminRoutes);
+
 // Graceful shutdown
 process.on('SIGINT', async () => {
     console.log('\n🛑 Shutting down gracefully...');
+    await leaderService.stop();
+    await notificationQueue.stop();
+    await liveFeedService.stopFanout();
+    await storage.close();
     await redisClient.disconnect();
     process.exit(0);
 });
 
-// Start server
-app.listen(PORT, '0.0.0.0', () => {
-    console.log(`\n🚀 Server running on http://localhost:${PORT}`);
-    console.log(`📡 Auto-fetching matches every 30 seconds`);
-    console.log(`💾 Redis cache: ${redisClient.isConnected ? '✅ Connected' : '❌ Disconnected'}`);
-    console.log(`🔑 API Key: ${process.env.PANDASCORE_API_KEY ? '✅ Loaded' : '❌ Missing'}`);
-    console.log(`📅 Filtering matches from Nov 21, 2025 onwards\n`);
-});
+// Start up: connect to Redis and pick the storage backend before jobs run or requests are served
+(async () => {
+    console.log('🚀 Server starting... (Version: Logos Endpoint Added)');
+    await redisClient.connect();
+    await storage.init();
+    await matchStore.init();
+
+    // Live events from the leader reach SSE clients on every instance
+    await liveFeedService.startFanout();
+
+    // Every instance sends queued notifications
+    await notificationService.startQueueWorker();
+
+    // Initial fetch, whenever this instance becomes the leader
+    await leaderService.start(() => {
+        pandascoreService.fetchMatches();
+        pandascoreService.pruneCache();
+
+        // Resolve name-only favorites to team ids
+        notificationService.migrateLegacyRegistrations();
+    });
+
+    scheduleJobs();
+
+    // Start server
+    app.listen(PORT, '0.0.0.0', () => {
+        console.log(`\n🚀 Server running on http://localhost:${PORT}`);
+        console.log(`📡 Auto-fetching matches every 30 seconds`);
+        console.log(`💾 Redis cache: ${redisClient.isConnected ? '✅ Connected' : '❌ Disconnected'}`);
+        console.log(`🔑 API Key: ${process.env.PANDASCORE_API_KEY ? '✅ Loaded' : '❌ Missing'}`);
+        console.log(`📅 Filtering matches from Nov 21, 2025 onwards\n`);
+    });
+})();
@@ -0,0 +1,243 @@
+const axios = require('axios');
+
+const API_KEY = process.env.PANDASCORE_API_KEY;
+const BASE_URL = 'https://api.pandascore.co';
+
+// Network errors worth retrying (timeouts, resets, DNS hiccups)
+const RETRYABLE_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'ERR_NETWORK'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const clientError = (message, code) => {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = 503;
+    return error;
+};
+
+class PandaScoreClient {
+    constructor() {
+        this.http = axios.create({
+            baseURL: BASE_URL,
+            headers: { 'Accept': 'application/json' }
+        });
+
+        // Token bucket sized to the plan's hourly quota (free plan: 1000 requests/hour)
+        this.RATE_LIMIT_PER_HOUR = Number(process.env.PANDASCORE_RATE_LIMIT) || 1000;
+        this.BURST = Number(process.env.PANDASCORE_BURST) || 10;
+        this.refillPerMs = this.RATE_LIMIT_PER_HOUR / (60 * 60 * 1000);
+        this.tokens = this.BURST;
+        this.lastRefill = Date.now();
+        this.pausedUntil = 0; // Set by 429 responses / exhausted upstream quota
+
+        // Retries with full jitter backoff
+        this.MAX_RETRIES = 3;
+        this.BACKOFF_BASE = 500;
+        this.BACKOFF_CAP = 8000;
+
+        // Circuit breaker
+        this.FAILURE_THRESHOLD = 5; // Consecutive failed requests before opening
+        this.OPEN_DURATION = 30 * 1000; // Time before a trial request is let through
+        this.circuit = { state: 'closed', failures: 0, openedAt: null, probing: false };
+
+        this.stats = {
+            requests: 0,
+            successes: 0,
+            failures: 0,
+            retries: 0,
+            rateLimited: 0, // 429 responses from PandaScore
+            throttled: 0, // Requests that waited for a token
+            rejected: 0, // Requests refused locally (circuit open / quota exhausted)
+            circuitOpens: 0,
+            upstreamRemaining: null,
+            lastError: null
+        };
+    }
+
+    /**
+     * GET a PandaScore endpoint
+     * @param {string} path - API path, e.g. '/csgo/matches'
+     * @param {Object} options - { params, timeout, maxWait (ms to wait for a rate limit token) }
+     * @returns {Promise<any>} Response body
+     */
+    async get(path, { params = {}, timeout = 10000, maxWait = 10000 } = {}) {
+        this._checkCircuit();
+        this.stats.requests++;
+
+        let attempt = 0;
+        try {
+            while (true) {
+                await this._acquireToken(maxWait);
+
+                try {
+                    const response = await this.http.get(path, {
+                        headers: { 'Authorization': `Bearer ${API_KEY}` },
+                        params,
+                        timeout
+                    });
+
+                    this._readRateLimitHeaders(response.headers);
+                    this._onSuccess();
+                    this.stats.successes++;
+                    return response.data;
+                } catch (error) {
+                    this._readRateLimitHeaders(error.response?.headers);
+
+                    if (error.response?.status === 429) {
+                        this.stats.rateLimited++;
+                        const retryAfter = Number(error.response.headers?.['retry-after']);
+                        this.pausedUntil = Date.now() + (retryAfter > 0 ? retryAfter * 1000 : 60 * 1000);
+                    }
+
+                    if (!this._isRetryable(error) || attempt >= this.MAX_RETRIES) {
+                        throw error;
+                    }
+
+                    attempt++;
+                    this.stats.retries++;
+                    const backoff = Math.random() * Math.min(this.BACKOFF_CAP, this.BACKOFF_BASE * 2 ** attempt);
+                    console.log(`🔁 Retrying PandaScore ${path} (attempt ${attempt}/${this.MAX_RETRIES}) in ${Math.round(backoff)}ms: ${error.message}`);
+                    await sleep(backoff);
+                }
+            }
+        } catch (error) {
+            this.stats.lastError = { message: error.message, path, at: new Date().toISOString() };
+
+            if (error.code === 'RATE_LIMITED') {
+                this.circuit.probing = false;
+            } else if (this._isUpstreamFailure(error)) {
+                this.stats.failures++;
+                this._onFailure();
+                // Routes answer 503 when PandaScore is down or unreachable, like for a local rejection
+                error.statusCode = 503;
+            } else {
+                // PandaScore answered (e.g. 404): the API itself is healthy
+                this._onSuccess();
+            }
+
+            throw error;
+        }
+    }
+
+    _isUpstreamFailure(error) {
+        const status = error.response?.status;
+        if (status) return status >= 500 || status === 429;
+        return true; // No response: timeout or network error
+    }
+
+    _isRetryable(error) {
+        const status = error.response?.status;
+        if (status) return status >= 500 || status === 429;
+        return RETRYABLE_ERROR_CODES.includes(error.code);
+    }
+
+    _readRateLimitHeaders(headers) {
+        const remaining = headers?.['x-rate-limit-remaining'];
+        if (remaining === undefined) return;
+
+        this.stats.upstreamRemaining = Number(remaining);
+        this.tokens = Math.min(this.tokens, Number(remaining));
+
+        // Quota used up: hold requests instead of collecting 429s
+        if (Number(remaining) <= 0) {
+            this.pausedUntil = Math.max(this.pausedUntil, Date.now() + 60 * 1000);
+        }
+    }
+
+    _refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.BURST, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+        this.lastRefill = now;
+    }
+
+    async _acquireToken(maxWait) {
+        const deadline = Date.now() + maxWait;
+
+        while (true) {
+            this._refill();
+            const now = Date.now();
+            const pauseWait = Math.max(0, this.pausedUntil - now);
+
+            if (pauseWait === 0 && this.tokens >= 1) {
+                this.tokens -= 1;
+                return;
+            }
+
+            const wait = pauseWait || Math.ceil((1 - this.tokens) / this.refillPerMs);
+            if (now + wait > deadline) {
+                this.stats.rejected++;
+                throw clientError('PandaScore rate limit reached, try again later', 'RATE_LIMITED');
+            }
+
+            this.stats.throttled++;
+            await sleep(wait);
+        }
+    }
+
+    _checkCircuit() {
+        if (this.circuit.state === 'open') {
+            if (Date.now() - this.circuit.openedAt < this.OPEN_DURATION) {
+                this.stats.rejected++;
+                throw clientError('PandaScore API unavailable (circuit open)', 'CIRCUIT_OPEN');
+            }
+            this.circuit.state = 'half_open';
+        }
+
+        // Half-open: let a single trial request through
+        if (this.circuit.state === 'half_open') {
+            if (this.circuit.probing) {
+                this.stats.rejected++;
+                throw clientError('PandaScore API unavailable (circuit open)', 'CIRCUIT_OPEN');
+            }
+            this.circuit.probing = true;
+        }
+    }
+
+    _onSuccess() {
+        if (this.circuit.state !== 'closed') {
+            console.log('✅ PandaScore circuit closed');
+        }
+        this.circuit = { state: 'closed', failures: 0, openedAt: null, probing: false };
+    }
+
+    _onFailure() {
+        this.circuit.failures++;
+        this.circuit.probing = false;
+
+        if (this.circuit.state === 'half_open' || this.circuit.failures >= this.FAILURE_THRESHOLD) {
+            if (this.circuit.state !== 'open') {
+                this.stats.circuitOpens++;
+                console.warn(`⚡ PandaScore circuit opened after ${this.circuit.failures} failures`);
+            }
+            this.circuit.state = 'open';
+            this.circuit.openedAt = Date.now();
+        }
+    }
+
+    /**
+     * Resize the token bucket (scripts sharing the API key with a running server)
+     * @param {number} perHour - Requests per hour
+     * @param {number} burst - Requests allowed back to back
+     */
+    setRateLimit(perHour, burst = 1) {
+        this.RATE_LIMIT_PER_HOUR = perHour;
+        this.BURST = burst;
+        this.refillPerMs = perHour / (60 * 60 * 1000);
+        this.tokens = Math.min(this.tokens, burst);
+    }
+
+    /**
+     * Counters and current state for monitoring
+     */
+    getStats() {
+        this._refill();
+        return {
+            ...this.stats,
+            circuit: this.circuit.state,
+            tokens: Math.floor(this.tokens),
+            pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil).toISOString() : null
+        };
+    }
+}
+
+module.exports = new PandaScoreClient();
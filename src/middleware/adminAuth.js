@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+
+/**
+ * Protects admin routes with the ADMIN_API_KEY secret
+ * Accepts "X-API-Key: <key>" or "Authorization: Bearer <key>"
+ */
+function adminAuth(req, res, next) {
+    const apiKey = process.env.ADMIN_API_KEY;
+    if (!apiKey) {
+        return res.status(503).json({ error: 'Admin API disabled (ADMIN_API_KEY not set)' });
+    }
+
+    const authorization = req.get('Authorization') || '';
+    const provided = req.get('X-API-Key') || (authorization.startsWith('Bearer ') ? authorization.slice(7) : '');
+
+    // Constant-time comparison of equal-length digests
+    const expectedHash = crypto.createHash('sha256').update(apiKey).digest();
+    const providedHash = crypto.createHash('sha256').update(provided).digest();
+
+    if (!provided || !crypto.timingSafeEqual(expectedHash, providedHash)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    next();
+}
+
+module.exports = adminAuth;
@@ -0,0 +1,288 @@
+const express = require('express');
+const adminAuth = require('../middleware/adminAuth');
+const notificationService = require('../services/notificationService');
+const pandascoreService = require('../services/pandascoreService');
+const localeService = require('../services/localeService');
+const transports = require('../transports');
+const webhookService = require('../services/webhookService');
+const teamRegistryService = require('../services/teamRegistryService');
+const notificationQueue = require('../services/notificationQueue');
+
+const router = express.Router();
+
+router.use(adminAuth);
+
+const BROADCAST_TARGETS = ['teams', 'tournaments'];
+
+// Sending endpoints need Firebase credentials
+const requirePush = (req, res, next) => {
+    if (!notificationService.pushEnabled) {
+        return res.status(503).json({ error: 'Push notifications are not configured' });
+    }
+    next();
+};
+
+// List team aliases
+router.get('/teams/aliases', async (req, res) => {
+    try {
+        const aliases = await teamRegistryService.getAliases();
+        res.json({ aliases, count: Object.keys(aliases).length });
+    } catch (error) {
+        console.error('Error in GET /admin/teams/aliases:', error);
+        res.status(500).json({ error: 'Failed to fetch aliases' });
+    }
+});
+
+// Add or change an alias: { teamId }
+router.put('/teams/aliases/:alias', async (req, res) => {
+    try {
+        const teamId = Number(req.body.teamId);
+        if (!Number.isInteger(teamId)) {
+            return res.status(400).json({ error: 'An integer teamId is required' });
+        }
+
+        const alias = await teamRegistryService.setAlias(req.params.alias, teamId);
+
+        // Registrations waiting on this name can now be resolved
+        notificationService.migrateLegacyRegistrations();
+
+        res.json({ success: true, alias, teamId });
+    } catch (error) {
+        console.error('Error in PUT /admin/teams/aliases:', error);
+        res.status(500).json({ error: 'Failed to save alias' });
+    }
+});
+
+// Remove an alias
+router.delete('/teams/aliases/:alias', async (req, res) => {
+    try {
+        const removed = await teamRegistryService.removeAlias(req.params.alias);
+        if (!removed) {
+            return res.status(404).json({ error: 'Alias not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error in DELETE /admin/teams/aliases:', error);
+        res.status(500).json({ error: 'Failed to remove alias' });
+    }
+});
+
+// Show how a team name resolves
+router.get('/teams/resolve', async (req, res) => {
+    try {
+        if (!req.query.name) {
+            return res.status(400).json({ error: 'Query parameter "name" is required' });
+        }
+
+        const team = await teamRegistryService.resolveTeam(req.query.name);
+        if (!team) {
+            return res.status(404).json({ error: 'Team could not be resolved' });
+        }
+        res.json(team);
+    } catch (error) {
+        console.error('Error in /admin/teams/resolve:', error);
+        res.status(500).json({ error: 'Failed to resolve team' });
+    }
+});
+
+// List registered tokens: ?language=tr&team=<id or name>&limit=50&page=1
+router.get('/tokens', async (req, res) => {
+    try {
+        const limit = Math.min(Number(req.query.limit) || 50, 500);
+        const page = Math.max(Number(req.query.page) || 1, 1);
+
+        const tokens = await notificationService.listTokens({
+            language: req.query.language || null,
+            team: req.query.team || null
+        });
+        const start = (page - 1) * limit;
+
+        res.json({ tokens: tokens.slice(start, start + limit), total: tokens.length, page });
+    } catch (error) {
+        console.error('Error in /admin/tokens:', error);
+        res.status(500).json({ error: 'Failed to list tokens' });
+    }
+});
+
+// Token counts per language and team
+router.get('/tokens/stats', async (req, res) => {
+    try {
+        const stats = await notificationService.getTokenStats();
+        res.json(stats);
+    } catch (error) {
+        console.error('Error in /admin/tokens/stats:', error);
+        res.status(500).json({ error: 'Failed to count tokens' });
+    }
+});
+
+// Transport availability, plus the local transport's recorded notifications
+router.get('/transports', (req, res) => {
+    const limit = Math.min(Number(req.query.limit) || 50, 1000);
+    res.json({
+        transports: transports.getStatus(),
+        localSent: transports.get('local').getSent().slice(0, limit)
+    });
+});
+
+// Notification queue depth, retries and dead letters (?limit=20)
+router.get('/notifications/queue', async (req, res) => {
+    try {
+        const limit = Math.min(Number(req.query.limit) || 20, 500);
+        res.json(await notificationQueue.getStatus(limit));
+    } catch (error) {
+        console.error('Error in /admin/notifications/queue:', error);
+        res.status(500).json({ error: 'Failed to read the notification queue' });
+    }
+});
+
+// Send a test notification: { fcmToken, title?, body? }
+router.post('/notifications/test', requirePush, async (req, res) => {
+    try {
+        const { fcmToken, title, body } = req.body;
+        if (!fcmToken) {
+            return res.status(400).json({ error: 'fcmToken is required' });
+        }
+
+        const result = await notificationService.sendTestNotification(fcmToken, { title, body });
+        if (!result) {
+            return res.status(404).json({ error: 'Token not registered' });
+        }
+        res.json({ success: result.successCount > 0, ...result });
+    } catch (error) {
+        console.error('Error in /admin/notifications/test:', error);
+        res.status(500).json({ error: 'Failed to send test notification' });
+    }
+});
+
+// Broadcast a custom message: { type: 'teams' | 'tournaments', id, messages: { en: { title, body }, ... }, data? }
+router.post('/notifications/broadcast', requirePush, async (req, res) => {
+    try {
+        const { type, messages, data = {} } = req.body;
+        const id = Number(req.body.id);
+
+        if (!BROADCAST_TARGETS.includes(type) || !Number.isInteger(id)) {
+            return res.status(400).json({ error: `type must be one of ${BROADCAST_TARGETS.join(', ')} and id an integer` });
+        }
+
+        const entries = messages && typeof messages === 'object' ? Object.values(messages) : [];
+        const valid = entries.length > 0 &&
+            entries.every(message => typeof message?.title === 'string' && typeof message?.body === 'string');
+        if (!valid) {
+            return res.status(400).json({ error: 'messages must map locales to { title, body }' });
+        }
+
+        if (!data || typeof data !== 'object' || Array.isArray(data) || Object.values(data).some(value => typeof value !== 'string')) {
+            return res.status(400).json({ error: 'data must be an object with string values' });
+        }
+
+        const result = await notificationService.broadcast({ type, id }, messages, data);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error in /admin/notifications/broadcast:', error);
+        res.status(500).json({ error: 'Failed to broadcast notification' });
+    }
+});
+
+// Send a match event notification again: { event, stage?, fcmToken? }
+router.post('/matches/:id(\\d+)/replay', requirePush, async (req, res) => {
+    try {
+        const { event, stage, fcmToken } = req.body;
+        if (!localeService.MESSAGE_TYPES.includes(event)) {
+            return res.status(400).json({ error: `event must be one of ${localeService.MESSAGE_TYPES.join(', ')}` });
+        }
+        if (event === 'reminder' && stage && !notificationService.REMINDER_STAGES.some(s => s.label === stage)) {
+            return res.status(400).json({ error: `stage must be one of ${notificationService.REMINDER_STAGES.map(s => s.label).join(', ')}` });
+        }
+
+        const match = await pandascoreService.getMatch(req.params.id);
+        if (!match) {
+            return res.status(404).json({ error: 'Match not found' });
+        }
+
+        const result = await notificationService.replayMatchEvent(match, event, { stage, fcmToken });
+        res.json({ success: true, ...(result || {}) });
+    } catch (error) {
+        console.error('Error in /admin/matches/:id/replay:', error);
+        res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to replay notification' });
+    }
+});
+
+// Clear reminder, status and score state for a match
+router.delete('/matches/:id(\\d+)/state', async (req, res) => {
+    try {
+        const cleared = await notificationService.clearMatchState(req.params.id);
+        res.json({ success: true, cleared });
+    } catch (error) {
+        console.error('Error in /admin/matches/:id/state:', error);
+        res.status(500).json({ error: 'Failed to clear match state' });
+    }
+});
+
+// List webhooks (secrets are not included)
+router.get('/webhooks', async (req, res) => {
+    try {
+        const webhooks = await webhookService.listWebhooks();
+        res.json({ webhooks, count: webhooks.length });
+    } catch (error) {
+        console.error('Error in GET /admin/webhooks:', error);
+        res.status(500).json({ error: 'Failed to list webhooks' });
+    }
+});
+
+// Create a webhook: { url, filter: { type, id }, format?, events?, language?, secret? }
+router.post('/webhooks', async (req, res) => {
+    try {
+        const webhook = await webhookService.createWebhook(req.body);
+        res.status(201).json(webhook);
+    } catch (error) {
+        if (error.statusCode === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error in POST /admin/webhooks:', error);
+        res.status(500).json({ error: 'Failed to create webhook' });
+    }
+});
+
+router.get('/webhooks/:id', async (req, res) => {
+    try {
+        const webhook = await webhookService.getWebhook(req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        res.json(webhook);
+    } catch (error) {
+        console.error('Error in GET /admin/webhooks/:id:', error);
+        res.status(500).json({ error: 'Failed to fetch webhook' });
+    }
+});
+
+router.delete('/webhooks/:id', async (req, res) => {
+    try {
+        const removed = await webhookService.deleteWebhook(req.params.id);
+        if (!removed) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error in DELETE /admin/webhooks/:id:', error);
+        res.status(500).json({ error: 'Failed to delete webhook' });
+    }
+});
+
+// Recent deliveries of a webhook
+router.get('/webhooks/:id/deliveries', async (req, res) => {
+    try {
+        const webhook = await webhookService.getWebhook(req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        const deliveries = await webhookService.getDeliveries(req.params.id);
+        res.json({ deliveries, count: deliveries.length });
+    } catch (error) {
+        console.error('Error in /admin/webhooks/:id/deliveries:', error);
+        res.status(500).json({ error: 'Failed to fetch deliveries' });
+    }
+});
+
+module.exports = router;
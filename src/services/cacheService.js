@@ -0,0 +1,129 @@
+const redisClient = require('../config/redis');
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+/**
+ * Read-through cache for PandaScore lookups with stale-while-revalidate
+ * Entries live in Redis when connected, with an in-memory copy as fallback.
+ * An entry is fresh for `ttl` seconds, then served stale for up to `staleTtl` more
+ * while it is refreshed in the background; stale entries also cover upstream errors.
+ */
+class CacheService {
+    constructor() {
+        this.local = new Map(); // key -> { value, storedAt, ttl, expiresAt }
+        this.MAX_LOCAL_ENTRIES = 1000; // Expired entries are swept beyond this size
+        this.DEFAULT_STALE_TTL = DAY;
+        this.refreshing = new Map(); // key -> in-flight load, shared by concurrent requests
+
+        // Per-resource lifetimes in seconds
+        this.TTL = {
+            teams: { ttl: DAY, staleTtl: 7 * DAY },
+            teamDetails: { ttl: 6 * HOUR, staleTtl: 7 * DAY },
+            teamPlayers: { ttl: HOUR, staleTtl: 7 * DAY },
+            teamSearch: { ttl: 10 * 60, staleTtl: DAY },
+            h2h: { ttl: HOUR, staleTtl: DAY }
+        };
+    }
+
+    async _read(key) {
+        if (redisClient.isConnected) {
+            const cached = await redisClient.get(key);
+            if (cached !== null && cached.storedAt !== undefined) return cached;
+        }
+
+        const entry = this.local.get(key);
+        if (entry && entry.expiresAt > Date.now()) {
+            return entry;
+        }
+        this.local.delete(key);
+        return null;
+    }
+
+    /**
+     * Cached value, fresh or stale (null when missing)
+     */
+    async get(key) {
+        const entry = await this._read(key);
+        return entry ? entry.value : null;
+    }
+
+    /**
+     * @param {number} ttl - Seconds the value is fresh
+     * @param {number} staleTtl - Seconds it may be served stale afterwards
+     */
+    async set(key, value, ttl, staleTtl = this.DEFAULT_STALE_TTL) {
+        if (this.local.size >= this.MAX_LOCAL_ENTRIES) {
+            const now = Date.now();
+            for (const [entryKey, entry] of this.local) {
+                if (entry.expiresAt <= now) this.local.delete(entryKey);
+            }
+        }
+
+        const entry = { value, storedAt: Date.now(), ttl };
+        this.local.set(key, { ...entry, expiresAt: entry.storedAt + (ttl + staleTtl) * 1000 });
+        if (redisClient.isConnected) {
+            await redisClient.set(key, entry, ttl + staleTtl);
+        }
+    }
+
+    /**
+     * Load a value once even when requested concurrently, and cache it
+     */
+    _load(key, ttl, staleTtl, loader) {
+        if (!this.refreshing.has(key)) {
+            const load = (async () => {
+                try {
+                    const value = await loader();
+                    if (value !== null && value !== undefined) {
+                        await this.set(key, value, ttl, staleTtl);
+                    }
+                    return value;
+                } finally {
+                    this.refreshing.delete(key);
+                }
+            })();
+            this.refreshing.set(key, load);
+        }
+        return this.refreshing.get(key);
+    }
+
+    /**
+     * Read-through lookup
+     * @param {string} key - Cache key
+     * @param {Object} lifetime - { ttl, staleTtl } in seconds
+     * @param {Function} loader - Async function producing the value
+     * @returns {Promise<{ value: any, cache: 'HIT' | 'MISS' | 'STALE', age: number }>} age in seconds
+     */
+    async fetch(key, { ttl, staleTtl = this.DEFAULT_STALE_TTL }, loader) {
+        const entry = await this._read(key);
+
+        if (entry) {
+            const age = Math.floor((Date.now() - entry.storedAt) / 1000);
+            if (age < entry.ttl) {
+                return { value: entry.value, cache: 'HIT', age };
+            }
+
+            // Stale: answer now, refresh in the background
+            this._load(key, ttl, staleTtl, loader)
+                .catch(error => console.log(`⚠️ Background refresh of ${key} failed, serving stale data:`, error.message));
+            return { value: entry.value, cache: 'STALE', age };
+        }
+
+        const value = await this._load(key, ttl, staleTtl, loader);
+        return { value, cache: 'MISS', age: 0 };
+    }
+
+    /**
+     * Return the cached value or load, cache and return it
+     * @param {string} key - Cache key
+     * @param {number} ttl - Seconds the value is fresh
+     * @param {Function} loader - Async function producing the value
+     */
+    async remember(key, ttl, loader) {
+        const { value } = await this.fetch(key, { ttl }, loader);
+        return value;
+    }
+}
+
+module.exports = new CacheService();
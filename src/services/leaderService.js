@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const os = require('os');
+const redisClient = require('../config/redis');
+
+// Only the holder may extend or release the lock
+const RENEW_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('pexpire', KEYS[1], ARGV[2])
+end
+return 0`;
+
+const RELEASE_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('del', KEYS[1])
+end
+return 0`;
+
+/**
+ * Leader election across instances, so scheduled jobs (fetching, notifications) run once
+ * The leader holds a Redis lock with a TTL and renews it; another instance takes over
+ * once it expires. Without REDIS_URL the instance runs alone and is always the leader.
+ */
+class LeaderService {
+    constructor() {
+        this.LOCK_KEY = 'cs2:leader';
+        this.LOCK_TTL = 30 * 1000;
+        this.RENEW_INTERVAL = 10 * 1000;
+
+        this.instanceId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+        this.mode = null; // 'single' (no REDIS_URL) | 'cluster'
+        this.leaseUntil = 0; // Leadership is only assumed while the last acquired or renewed lock is valid
+        this.timer = null;
+        this.onElected = null;
+    }
+
+    get isLeader() {
+        return this.mode === 'single' || this.leaseUntil > Date.now();
+    }
+
+    /**
+     * Join the election (startup)
+     * @param {Function} onElected - Called each time this instance becomes the leader
+     */
+    async start(onElected) {
+        this.onElected = onElected;
+        await this._tick();
+        this.timer = setInterval(() => this._tick(), this.RENEW_INTERVAL);
+    }
+
+    /**
+     * Renew or acquire the lock
+     * Only an instance without REDIS_URL runs the jobs on its own. When Redis is configured but
+     * unreachable the leader steps down: instances that can't see the lock can't tell whether
+     * another one runs the jobs, so none of them does until Redis is back
+     */
+    async _tick() {
+        const wasLeader = this.isLeader;
+
+        if (!process.env.REDIS_URL) {
+            if (this.mode !== 'single') {
+                this.mode = 'single';
+                this.leaseUntil = 0;
+                console.log('👑 Single instance mode (no REDIS_URL): running scheduled jobs here');
+                this.onElected?.();
+            }
+            return;
+        }
+
+        this.mode = 'cluster';
+
+        if (!redisClient.isConnected) {
+            if (this.leaseUntil > 0) {
+                this.leaseUntil = 0;
+                console.warn('⚠️ Redis unreachable: stepping down, scheduled jobs stop until Redis is back');
+            }
+            return;
+        }
+
+        try {
+            const client = redisClient.client;
+
+            // The lease is counted from before the command, so it never outlives the key in Redis
+            if (this.leaseUntil > 0) {
+                const sentAt = Date.now();
+                const renewed = await client.eval(RENEW_SCRIPT, {
+                    keys: [this.LOCK_KEY],
+                    arguments: [this.instanceId, String(this.LOCK_TTL)]
+                });
+
+                if (renewed) {
+                    this.leaseUntil = sentAt + this.LOCK_TTL;
+                    return;
+                }
+                this.leaseUntil = 0;
+            }
+
+            const sentAt = Date.now();
+            const acquired = await client.set(this.LOCK_KEY, this.instanceId, { NX: true, PX: this.LOCK_TTL });
+            if (acquired === 'OK') {
+                this.leaseUntil = sentAt + this.LOCK_TTL;
+                console.log(`👑 Elected leader (${this.instanceId}): running scheduled jobs here`);
+                if (!wasLeader) this.onElected?.();
+            } else if (wasLeader) {
+                console.warn('⚠️ Leadership lost: scheduled jobs stop on this instance');
+            }
+        } catch (error) {
+            console.error('❌ Leader election error:', error.message);
+        }
+    }
+
+    /**
+     * Leave the election, releasing the lock so another instance takes over right away (shutdown)
+     */
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+
+        if (this.mode !== 'cluster' || this.leaseUntil === 0 || !redisClient.isConnected) return;
+
+        try {
+            await redisClient.client.eval(RELEASE_SCRIPT, { keys: [this.LOCK_KEY], arguments: [this.instanceId] });
+            this.leaseUntil = 0;
+        } catch (error) {
+            console.error('❌ Error releasing leadership:', error.message);
+        }
+    }
+
+    getStatus() {
+        return { instanceId: this.instanceId, mode: this.mode, leader: this.isLeader };
+    }
+}
+
+module.exports = new LeaderService();
@@ -0,0 +1,245 @@
+const redisClient = require('../config/redis');
+const leaderService = require('./leaderService');
+
+class LiveFeedService {
+    constructor() {
+        this.clients = new Set();
+        this.buffer = []; // Recent events for Last-Event-ID replay
+        this.BUFFER_SIZE = 500;
+        this.HEARTBEAT_INTERVAL = 25 * 1000;
+        this.RETRY_INTERVAL = 5 * 1000; // Client reconnect delay sent with the stream
+
+        // Event ids are "<boot id>-<sequence>" so ids from a previous process are detected on reconnect
+        this.bootId = Date.now().toString(36);
+        this.sequence = 0;
+        this.heartbeatTimer = null;
+
+        // Events are detected on the leader and relayed to the other instances over Redis pub/sub
+        this.FANOUT_CHANNEL = 'cs2:live';
+        this.subscriber = null;
+    }
+
+    /**
+     * Subscribe to events published by the leader (startup, Redis only)
+     */
+    async startFanout() {
+        if (!redisClient.isConnected) return;
+
+        try {
+            this.subscriber = redisClient.client.duplicate();
+            this.subscriber.on('error', (error) => console.error('❌ Live feed subscriber error:', error.message));
+            await this.subscriber.connect();
+            await this.subscriber.subscribe(this.FANOUT_CHANNEL, (message) => this._onFanout(message));
+        } catch (error) {
+            console.error('❌ Could not subscribe to live events:', error.message);
+            this.subscriber = null;
+        }
+    }
+
+    async stopFanout() {
+        if (this.subscriber) {
+            await this.subscriber.quit();
+            this.subscriber = null;
+        }
+    }
+
+    _onFanout(message) {
+        try {
+            const { origin, entries } = JSON.parse(message);
+            if (origin !== leaderService.instanceId) {
+                this._deliver(entries);
+            }
+        } catch (error) {
+            console.error('❌ Invalid live event message:', error.message);
+        }
+    }
+
+    /**
+     * Compact match representation sent with every event
+     */
+    summarize(match) {
+        return {
+            id: match.id,
+            name: match.name,
+            status: match.status,
+            begin_at: match.begin_at,
+            tournament_id: match.tournament_id,
+            opponents: (match.opponents || []).map(({ opponent }) => ({
+                id: opponent?.id,
+                name: opponent?.name,
+                acronym: opponent?.acronym,
+                image_url: opponent?.image_url
+            })),
+            results: match.results || [],
+            official_stream_url: match.official_stream_url || null,
+            streams_list: match.streams_list || []
+        };
+    }
+
+    _score(match) {
+        return (match.results || []).map(r => `${r.team_id}:${r.score}`).join(',');
+    }
+
+    _streams(match) {
+        const urls = (match.streams_list || []).map(s => s.raw_url).sort();
+        return JSON.stringify([match.official_stream_url || null, ...urls]);
+    }
+
+    /**
+     * Compare freshly fetched matches with their previously cached state
+     * @param {Map} previousMatches - Map of matchId -> cached match before the merge
+     * @param {Array} newMatches - Matches returned by PandaScore
+     * @returns {Array} Change events
+     */
+    diffMatches(previousMatches, newMatches) {
+        const events = [];
+
+        for (const match of newMatches) {
+            const previous = previousMatches.get(match.id);
+
+            if (!previous) {
+                events.push({ type: 'match_created', match });
+                continue;
+            }
+
+            if (previous.status !== match.status) {
+                events.push({ type: 'status_changed', match, previous: previous.status, current: match.status });
+            }
+
+            if (this._score(previous) !== this._score(match)) {
+                events.push({ type: 'score_changed', match, previous: previous.results || [], current: match.results || [] });
+            }
+
+            if (this._streams(previous) !== this._streams(match)) {
+                events.push({ type: 'stream_changed', match });
+            }
+        }
+
+        return events;
+    }
+
+    /**
+     * Assign ids to change events, push them to connected clients and relay them to other instances
+     * @param {Array} events - Output of diffMatches()
+     */
+    publish(events) {
+        const entries = events.map(event => ({
+            id: `${this.bootId}-${++this.sequence}`,
+            type: event.type,
+            matchId: event.match.id,
+            teamIds: (event.match.opponents || []).map(o => o.opponent?.id).filter(Boolean),
+            data: {
+                match: this.summarize(event.match),
+                ...(event.previous !== undefined && { previous: event.previous }),
+                ...(event.current !== undefined && { current: event.current }),
+                timestamp: new Date().toISOString()
+            }
+        }));
+
+        this._deliver(entries);
+
+        if (entries.length > 0 && redisClient.isConnected) {
+            redisClient.client.publish(this.FANOUT_CHANNEL, JSON.stringify({ origin: leaderService.instanceId, entries }))
+                .catch(error => console.error('❌ Error relaying live events:', error.message));
+        }
+    }
+
+    /**
+     * Buffer events for Last-Event-ID replay and push them to connected clients
+     */
+    _deliver(entries) {
+        for (const entry of entries) {
+            this.buffer.push(entry);
+            if (this.buffer.length > this.BUFFER_SIZE) {
+                this.buffer.shift();
+            }
+
+            for (const client of this.clients) {
+                if (this._matchesFilters(entry, client.filters)) {
+                    this._write(client.res, entry);
+                }
+            }
+        }
+
+        if (entries.length > 0 && this.clients.size > 0) {
+            console.log(`📡 Pushed ${entries.length} live events to ${this.clients.size} clients`);
+        }
+    }
+
+    _matchesFilters(entry, filters) {
+        if (!filters.matchIds && !filters.teamIds) return true;
+        if (filters.matchIds && filters.matchIds.includes(entry.matchId)) return true;
+        if (filters.teamIds && entry.teamIds.some(id => filters.teamIds.includes(id))) return true;
+        return false;
+    }
+
+    _write(res, entry) {
+        res.write(`id: ${entry.id}\nevent: ${entry.type}\ndata: ${JSON.stringify(entry.data)}\n\n`);
+    }
+
+    /**
+     * Attach an SSE client
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     * @param {Object} filters - { matchIds?: number[], teamIds?: number[] }
+     */
+    addClient(req, res, filters = {}) {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+        });
+        res.flushHeaders();
+        res.write(`retry: ${this.RETRY_INTERVAL}\n\n`);
+
+        const client = { res, filters };
+        this.clients.add(client);
+
+        // Replay missed events on reconnect
+        const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+        if (lastEventId) {
+            this._replay(client, lastEventId);
+        }
+
+        this._startHeartbeat();
+
+        req.on('close', () => {
+            this.clients.delete(client);
+            if (this.clients.size === 0) {
+                this._stopHeartbeat();
+            }
+        });
+    }
+
+    _replay(client, lastEventId) {
+        const index = this.buffer.findIndex(e => e.id === lastEventId);
+
+        // Unknown id (server restarted or event fell out of the buffer): tell the client to resync
+        if (index === -1) {
+            client.res.write(`event: reset\ndata: ${JSON.stringify({ reason: 'history_unavailable' })}\n\n`);
+            return;
+        }
+
+        this.buffer.slice(index + 1)
+            .filter(entry => this._matchesFilters(entry, client.filters))
+            .forEach(entry => this._write(client.res, entry));
+    }
+
+    _startHeartbeat() {
+        if (this.heartbeatTimer) return;
+
+        this.heartbeatTimer = setInterval(() => {
+            for (const client of this.clients) {
+                client.res.write(`: heartbeat ${Date.now()}\n\n`);
+            }
+        }, this.HEARTBEAT_INTERVAL);
+    }
+
+    _stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+    }
+}
+
+module.exports = new LiveFeedService();
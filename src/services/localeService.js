@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+const DEFAULT_LOCALE = 'en';
+
+// Message types every catalog must define, with the placeholders their templates may use
+const MESSAGE_PLACEHOLDERS = {
+    matchStarting: ['team1', 'team2'],
+    matchFinished: ['winner', 'loser', 'score'],
+    reminder: ['team1', 'team2', 'lead'],
+    scoreUpdate: ['team1', 'score1', 'score2', 'team2']
+};
+const DURATION_UNITS = ['m', 'h', 'd'];
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+const fill = (template, params) => template.replace(PLACEHOLDER_PATTERN, (placeholder, name) =>
+    params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder
+);
+
+/**
+ * Localized notification templates loaded from src/locales/<locale>.json
+ * Adding a language only needs a new catalog file
+ */
+class LocaleService {
+    constructor() {
+        this.MESSAGE_TYPES = Object.keys(MESSAGE_PLACEHOLDERS);
+        this.DEFAULT_LOCALE = DEFAULT_LOCALE;
+        this.catalogs = {};
+        this.load();
+    }
+
+    /**
+     * Load and validate every catalog; invalid catalogs are skipped, an invalid default locale is fatal
+     */
+    load() {
+        const files = fs.readdirSync(LOCALES_DIR).filter(file => file.endsWith('.json'));
+        const catalogs = {};
+
+        for (const file of files) {
+            const locale = this.normalize(path.basename(file, '.json'));
+
+            try {
+                const catalog = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf-8'));
+                const errors = this.validate(catalog);
+
+                if (errors.length > 0) {
+                    console.error(`❌ Locale ${locale} is invalid and was not loaded:\n  - ${errors.join('\n  - ')}`);
+                    continue;
+                }
+
+                catalogs[locale] = catalog;
+            } catch (error) {
+                console.error(`❌ Failed to load locale ${locale}:`, error.message);
+            }
+        }
+
+        if (!catalogs[DEFAULT_LOCALE]) {
+            throw new Error(`Default locale "${DEFAULT_LOCALE}" is missing or invalid`);
+        }
+
+        this.catalogs = catalogs;
+        console.log(`🌐 Loaded locales: ${Object.keys(catalogs).join(', ')}`);
+    }
+
+    /**
+     * @returns {string[]} Validation errors for a catalog (empty if valid)
+     */
+    validate(catalog) {
+        const errors = [];
+
+        for (const [type, placeholders] of Object.entries(MESSAGE_PLACEHOLDERS)) {
+            const entry = catalog[type];
+            if (!entry || typeof entry.title !== 'string' || typeof entry.body !== 'string') {
+                errors.push(`${type}: title and body are required`);
+                continue;
+            }
+
+            for (const [, name] of `${entry.title} ${entry.body}`.matchAll(PLACEHOLDER_PATTERN)) {
+                if (!placeholders.includes(name)) {
+                    errors.push(`${type}: unknown placeholder {${name}}`);
+                }
+            }
+        }
+
+        for (const unit of DURATION_UNITS) {
+            if (typeof catalog.durations?.[unit]?.other !== 'string') {
+                errors.push(`durations.${unit}.other is required`);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Normalize a locale tag: "PT_br" -> "pt-BR"
+     */
+    normalize(locale) {
+        const [language, region] = String(locale || '').replace('_', '-').split('-');
+        return region ? `${language.toLowerCase()}-${region.toUpperCase()}` : language.toLowerCase();
+    }
+
+    /**
+     * Fallback chain for a locale, e.g. pt-BR -> pt -> en (only loaded locales)
+     */
+    getFallbackChain(locale) {
+        const normalized = this.normalize(locale);
+        const chain = [normalized, normalized.split('-')[0], DEFAULT_LOCALE];
+        return [...new Set(chain)].filter(code => this.catalogs[code]);
+    }
+
+    /**
+     * Render a message in the best matching locale
+     * @param {string} locale - User's language
+     * @param {string} messageType - One of MESSAGE_TYPES
+     * @param {Object} params - Placeholder values; { amount, unit } objects are formatted as durations
+     * @returns {{ title: string, body: string }}
+     */
+    render(locale, messageType, params = {}) {
+        const code = this.getFallbackChain(locale).find(candidate => this.catalogs[candidate][messageType]);
+        const { title, body } = this.catalogs[code][messageType];
+
+        const values = {};
+        for (const [name, value] of Object.entries(params)) {
+            values[name] = value && value.unit ? this.formatDuration(code, value) : value;
+        }
+
+        return { title: fill(title, values), body: fill(body, values) };
+    }
+
+    /**
+     * Format a duration like { amount: 1, unit: 'h' } with the locale's plural rules ("1 hour", "2 часа")
+     */
+    formatDuration(locale, { amount, unit }) {
+        const code = this.getFallbackChain(locale)[0];
+        const forms = this.catalogs[code].durations[unit];
+        const category = new Intl.PluralRules(code).select(amount);
+        return fill(forms[category] || forms.other, { count: amount });
+    }
+
+    /**
+     * @returns {Array<{ code: string, name: string, fallbacks: string[] }>}
+     */
+    getSupportedLocales() {
+        return Object.entries(this.catalogs).map(([code, catalog]) => ({
+            code,
+            name: catalog.meta?.name || code,
+            fallbacks: this.getFallbackChain(code).slice(1)
+        }));
+    }
+}
+
+module.exports = new LocaleService();
@@ -0,0 +1,231 @@
+const redisClient = require('../config/redis');
+
+const PREFIX = 'cs2:archive';
+const DAY = 24 * 60 * 60 * 1000;
+const PRUNE_BATCH = 500;
+
+const KEYS = {
+    data: `${PREFIX}:data`, // Hash: { matchId: JSON(match) }
+    byBegin: `${PREFIX}:by_begin`, // Sorted set: matchId scored by begin time
+    team: (teamId) => `${PREFIX}:team:${teamId}`, // Sorted set per team, scored by begin time
+    tournament: (tournamentId) => `${PREFIX}:tournament:${tournamentId}` // Sorted set per tournament
+};
+
+const matchTime = (match) => Date.parse(match.begin_at || match.scheduled_at) || 0;
+const teamIdsOf = (match) => (match?.opponents || []).map(o => o.opponent?.id).filter(Boolean);
+
+/**
+ * Archive of finished matches, kept for ARCHIVE_RETENTION_DAYS
+ * Fed by the matches cache and the backfill script, independent of the cache's 7-day window.
+ * Stored in Redis with sorted-set indexes by begin time, team and tournament
+ * (in memory without Redis, so not durable).
+ */
+class MatchArchive {
+    constructor() {
+        this.KEYS = KEYS;
+        this.RETENTION_DAYS = Number(process.env.ARCHIVE_RETENTION_DAYS) || 365;
+        this.local = new Map(); // matchId -> match, without Redis
+    }
+
+    get client() {
+        return redisClient.isConnected && redisClient.client ? redisClient.client : null;
+    }
+
+    /**
+     * Add or update finished matches (other statuses are ignored)
+     * @returns {Promise<number>} Number of matches stored
+     */
+    async store(matches) {
+        const cutoff = Date.now() - this.RETENTION_DAYS * DAY;
+        const finished = matches.filter(match => match.status === 'finished' && matchTime(match) >= cutoff);
+        if (finished.length === 0) return 0;
+
+        const client = this.client;
+        if (!client) {
+            finished.forEach(match => this.local.set(match.id, match));
+            return finished.length;
+        }
+
+        const multi = client.multi();
+        for (const match of finished) {
+            const id = String(match.id);
+            const score = matchTime(match);
+
+            multi.hSet(KEYS.data, id, JSON.stringify(match));
+            multi.zAdd(KEYS.byBegin, { score, value: id });
+            for (const teamId of teamIdsOf(match)) {
+                multi.zAdd(KEYS.team(teamId), { score, value: id });
+            }
+            if (match.tournament_id) {
+                multi.zAdd(KEYS.tournament(match.tournament_id), { score, value: id });
+            }
+        }
+        await multi.exec();
+
+        return finished.length;
+    }
+
+    async get(matchId) {
+        const id = Number(matchId);
+        const client = this.client;
+        if (!client) return this.local.get(id) || null;
+
+        const json = await client.hGet(KEYS.data, String(id));
+        return json ? JSON.parse(json) : null;
+    }
+
+    /**
+     * Archived matches between two teams, newest first (intersection of their team indexes)
+     */
+    async getMeetings(teamId, otherId) {
+        const client = this.client;
+        let matches;
+
+        if (!client) {
+            matches = [...this.local.values()].filter(match => {
+                const ids = teamIdsOf(match);
+                return ids.includes(teamId) && ids.includes(otherId);
+            });
+        } else {
+            const [ids, otherIds] = await Promise.all([
+                client.zRangeByScore(KEYS.team(teamId), '-inf', '+inf'),
+                client.zRangeByScore(KEYS.team(otherId), '-inf', '+inf')
+            ]);
+            const others = new Set(otherIds);
+            matches = await this._getMany(client, ids.filter(id => others.has(id)));
+        }
+
+        return matches.sort((a, b) => matchTime(b) - matchTime(a) || b.id - a.id);
+    }
+
+    async _getMany(client, ids) {
+        if (ids.length === 0) return [];
+        const values = await client.hmGet(KEYS.data, ids.map(String));
+        return values.filter(Boolean).map(json => JSON.parse(json));
+    }
+
+    /**
+     * Query archived matches; only the requested page is loaded
+     * Team and tournament filters intersect the indexes, so they read every id in the time range
+     * @param {Object} query - { teamIds, tournamentIds, from, to, sort, page, limit } (see parseArchiveQuery)
+     * @returns {Promise<Object>} { matches, total, page, hasMore }
+     */
+    async query({ teamIds, tournamentIds, from, to, sort = '-begin_at', page = 1, limit = 50 }) {
+        const direction = sort === '-begin_at' ? -1 : 1;
+        const client = this.client;
+        const start = (page - 1) * limit;
+
+        // Without team or tournament filters Redis pages through the begin time index itself
+        if (client && !teamIds && !tournamentIds) {
+            const min = from ?? '-inf';
+            const max = to ?? '+inf';
+            const window = { BY: 'SCORE', LIMIT: { offset: start, count: limit } };
+
+            const [total, pageIds] = await Promise.all([
+                client.zCount(KEYS.byBegin, min, max),
+                direction < 0
+                    ? client.zRange(KEYS.byBegin, max, min, { ...window, REV: true })
+                    : client.zRange(KEYS.byBegin, min, max, window)
+            ]);
+
+            return {
+                matches: await this._getMany(client, pageIds),
+                total,
+                page,
+                hasMore: start + limit < total
+            };
+        }
+
+        let entries; // [id, begin time]
+
+        if (!client) {
+            entries = [...this.local.values()]
+                .filter(match => !teamIds || teamIdsOf(match).some(id => teamIds.includes(id)))
+                .filter(match => !tournamentIds || tournamentIds.includes(match.tournament_id))
+                .map(match => [match.id, matchTime(match)]);
+        } else {
+            const range = (key) => client.zRangeByScore(key, from ?? '-inf', to ?? '+inf');
+            const union = async (keys) => new Set((await Promise.all(keys.map(range))).flat());
+
+            // Ids with their begin times (cheap), narrowed with the team and tournament indexes
+            const all = await client.zRangeByScoreWithScores(KEYS.byBegin, from ?? '-inf', to ?? '+inf');
+            entries = all.map(({ value, score }) => [Number(value), score]);
+            for (const keys of [teamIds?.map(KEYS.team), tournamentIds?.map(KEYS.tournament)]) {
+                if (!keys) continue;
+                const members = await union(keys);
+                entries = entries.filter(([id]) => members.has(String(id)));
+            }
+        }
+
+        entries = entries
+            .filter(([, time]) => (from === undefined || time >= from) && (to === undefined || time <= to))
+            .sort((a, b) => direction * (a[1] - b[1] || a[0] - b[0]));
+
+        const pageIds = entries.slice(start, start + limit).map(([id]) => id);
+        const matches = client ? await this._getMany(client, pageIds) : pageIds.map(id => this.local.get(id));
+
+        return {
+            matches,
+            total: entries.length,
+            page,
+            hasMore: start + limit < entries.length
+        };
+    }
+
+    /**
+     * Drop matches older than the retention period (daily cron)
+     * @returns {Promise<number>} Number of matches removed
+     */
+    async prune() {
+        const cutoff = Date.now() - this.RETENTION_DAYS * DAY;
+
+        try {
+            const client = this.client;
+            let removed = 0;
+
+            if (!client) {
+                for (const [id, match] of this.local) {
+                    if (matchTime(match) < cutoff) {
+                        this.local.delete(id);
+                        removed++;
+                    }
+                }
+            } else {
+                const ids = await client.zRangeByScore(KEYS.byBegin, '-inf', `(${cutoff}`);
+
+                // Matches are loaded in batches to clean up their team and tournament indexes
+                for (let i = 0; i < ids.length; i += PRUNE_BATCH) {
+                    const batch = ids.slice(i, i + PRUNE_BATCH);
+                    const matches = await this._getMany(client, batch);
+                    const multi = client.multi();
+
+                    for (const match of matches) {
+                        const id = String(match.id);
+                        for (const teamId of teamIdsOf(match)) {
+                            multi.zRem(KEYS.team(teamId), id);
+                        }
+                        if (match.tournament_id) {
+                            multi.zRem(KEYS.tournament(match.tournament_id), id);
+                        }
+                    }
+                    for (const id of batch) {
+                        multi.hDel(KEYS.data, id);
+                        multi.zRem(KEYS.byBegin, id);
+                    }
+                    await multi.exec();
+                }
+                removed = ids.length;
+            }
+
+            if (removed > 0) {
+                console.log(`🗄️ Pruned ${removed} archived matches older than ${this.RETENTION_DAYS} days`);
+            }
+            return removed;
+        } catch (error) {
+            console.error('❌ Error pruning the match archive:', error.message);
+            return 0;
+        }
+    }
+}
+
+module.exports = new MatchArchive();
@@ -0,0 +1,290 @@
+const redisClient = require('../config/redis');
+
+const PREFIX = 'cs2:matches';
+const LEGACY_KEY = 'cs2:matches'; // Single JSON blob of every match, replaced by the keys below
+const TOMBSTONE_TTL = 7 * 24 * 60 * 60 * 1000; // Keep removed match ids for delta sync for 7 days
+
+const KEYS = {
+    data: `${PREFIX}:data`, // Hash: { matchId: JSON(match) }
+    byBegin: `${PREFIX}:by_begin`, // Sorted set: matchId scored by begin time
+    status: (status) => `${PREFIX}:status:${status}`, // Sorted set per status, scored by begin time
+    team: (teamId) => `${PREFIX}:team:${teamId}`, // Sorted set per team, scored by begin time
+    changes: `${PREFIX}:changes`, // Sorted set: matchId scored by last change time (delta sync)
+    removed: `${PREFIX}:removed`, // Sorted set: removed matchId scored by removal time (tombstones)
+    meta: `${PREFIX}:meta` // Hash: { lastUpdate, syncSince }
+};
+
+const matchTime = (match) => Date.parse(match.begin_at || match.scheduled_at) || 0;
+const teamIdsOf = (match) => (match?.opponents || []).map(o => o.opponent?.id).filter(Boolean);
+const byBegin = (a, b) => matchTime(a) - matchTime(b) || a.id - b.id;
+
+/**
+ * Match cache stored per match, with sorted-set indexes by begin time, status and team
+ * Lives in Redis when connected, each update written in a single MULTI; without Redis it is kept
+ * in memory. The memory copy only holds what was written while Redis was unavailable and is
+ * cleared by the next Redis write, so it is never served as a partial copy of the Redis data.
+ */
+class MatchStore {
+    constructor() {
+        this.KEYS = KEYS;
+        this.TOMBSTONE_TTL = TOMBSTONE_TTL;
+
+        // In-memory copy
+        this.local = new Map(); // matchId -> match
+        this.localChanges = new Map(); // matchId -> changed at (ms)
+        this.localRemoved = new Map(); // matchId -> removed at (ms)
+        this.localMeta = { lastUpdate: null, syncSince: null };
+    }
+
+    get client() {
+        return redisClient.isConnected && redisClient.client ? redisClient.client : null;
+    }
+
+    /**
+     * Migrate the single-blob cache from previous versions (startup)
+     */
+    async init() {
+        const client = this.client;
+        if (!client) return;
+
+        try {
+            if (await client.type(LEGACY_KEY) !== 'string') return;
+
+            const legacy = JSON.parse(await client.get(LEGACY_KEY));
+            const matches = legacy?.matches || [];
+            const lastUpdate = legacy?.lastUpdate || new Date().toISOString();
+            const syncSince = legacy?.syncSince || lastUpdate;
+            const changes = legacy?.changes || {};
+
+            const update = {
+                upserts: matches.map(match => ({
+                    match,
+                    previous: null,
+                    changedAt: Date.parse(changes[match.id]) || Date.parse(syncSince)
+                })),
+                removals: (legacy?.removed || []).map(t => ({ id: t.id, previous: null, removedAt: Date.parse(t.removedAt) })),
+                lastUpdate,
+                syncSince
+            };
+
+            await this._commit(client, update, [LEGACY_KEY]);
+            console.log(`🗃️ Migrated ${matches.length} cached matches to per-match storage`);
+        } catch (error) {
+            console.error('❌ Error migrating the matches cache:', error.message);
+        }
+    }
+
+    /**
+     * Write an update in one transaction: match data, indexes, change log, tombstones and meta
+     * @param {string[]} deleteKeys - Extra keys deleted in the same transaction
+     */
+    async _commit(client, { upserts, removals, lastUpdate, syncSince }, deleteKeys = []) {
+        const multi = client.multi();
+
+        for (const { match, previous, changedAt } of upserts) {
+            const id = String(match.id);
+            const score = matchTime(match);
+            const teamIds = teamIdsOf(match);
+
+            multi.hSet(KEYS.data, id, JSON.stringify(match));
+            multi.zAdd(KEYS.byBegin, { score, value: id });
+            if (previous && previous.status !== match.status) {
+                multi.zRem(KEYS.status(previous.status), id);
+            }
+            multi.zAdd(KEYS.status(match.status), { score, value: id });
+            for (const teamId of teamIdsOf(previous).filter(teamId => !teamIds.includes(teamId))) {
+                multi.zRem(KEYS.team(teamId), id);
+            }
+            for (const teamId of teamIds) {
+                multi.zAdd(KEYS.team(teamId), { score, value: id });
+            }
+            multi.zAdd(KEYS.changes, { score: changedAt, value: id });
+            multi.zRem(KEYS.removed, id);
+        }
+
+        for (const { id, previous, removedAt } of removals) {
+            const member = String(id);
+            multi.hDel(KEYS.data, member);
+            multi.zRem(KEYS.byBegin, member);
+            multi.zRem(KEYS.changes, member);
+            if (previous) {
+                multi.zRem(KEYS.status(previous.status), member);
+                for (const teamId of teamIdsOf(previous)) {
+                    multi.zRem(KEYS.team(teamId), member);
+                }
+            }
+            multi.zAdd(KEYS.removed, { score: removedAt, value: member });
+        }
+
+        multi.zRemRangeByScore(KEYS.removed, '-inf', Date.now() - TOMBSTONE_TTL);
+        multi.hSet(KEYS.meta, 'lastUpdate', lastUpdate);
+        multi.hSetNX(KEYS.meta, 'syncSince', syncSince);
+        for (const key of deleteKeys) {
+            multi.del(key);
+        }
+
+        await multi.exec();
+    }
+
+    _clearLocal() {
+        this.local.clear();
+        this.localChanges.clear();
+        this.localRemoved.clear();
+        this.localMeta = { lastUpdate: null, syncSince: null };
+    }
+
+    _applyLocal({ upserts, removals, lastUpdate, syncSince }) {
+        for (const { match, changedAt } of upserts) {
+            this.local.set(match.id, match);
+            this.localChanges.set(match.id, changedAt);
+            this.localRemoved.delete(match.id);
+        }
+
+        for (const { id, removedAt } of removals) {
+            this.local.delete(id);
+            this.localChanges.delete(id);
+            this.localRemoved.set(id, removedAt);
+        }
+
+        const cutoff = Date.now() - TOMBSTONE_TTL;
+        for (const [id, removedAt] of this.localRemoved) {
+            if (removedAt <= cutoff) this.localRemoved.delete(id);
+        }
+
+        this.localMeta.lastUpdate = lastUpdate;
+        this.localMeta.syncSince = this.localMeta.syncSince || syncSince;
+    }
+
+    /**
+     * Matches by id, as a Map (unknown ids are left out)
+     */
+    async getMany(ids) {
+        const client = this.client;
+        if (!client || ids.length === 0) {
+            return new Map(ids.filter(id => this.local.has(id)).map(id => [id, this.local.get(id)]));
+        }
+
+        const values = await client.hmGet(KEYS.data, ids.map(String));
+        const found = new Map();
+        values.forEach((json, index) => {
+            if (json) found.set(Number(ids[index]), JSON.parse(json));
+        });
+        return found;
+    }
+
+    async get(matchId) {
+        const id = Number(matchId);
+        return (await this.getMany([id])).get(id) || null;
+    }
+
+    /**
+     * @returns {Promise<Object>} { lastUpdate, syncSince, count }
+     */
+    async getMeta() {
+        const client = this.client;
+        if (!client) {
+            return { ...this.localMeta, count: this.local.size };
+        }
+
+        const [meta, count] = await Promise.all([client.hGetAll(KEYS.meta), client.zCard(KEYS.byBegin)]);
+        return { lastUpdate: meta.lastUpdate || null, syncSince: meta.syncSince || null, count };
+    }
+
+    /**
+     * Matches sorted by begin time, narrowed down with the indexes
+     * @param {Object} filters - { statuses, teamIds, from, to } (times in ms), all optional
+     */
+    async query({ statuses, teamIds, from, to } = {}) {
+        const inRange = (time) => (from === undefined || time >= from) && (to === undefined || time <= to);
+        const matchesFilters = (match) =>
+            inRange(matchTime(match)) &&
+            (!statuses || statuses.includes(match.status)) &&
+            (!teamIds || teamIdsOf(match).some(id => teamIds.includes(id)));
+
+        const client = this.client;
+        if (!client) {
+            return [...this.local.values()].filter(matchesFilters).sort(byBegin);
+        }
+
+        const range = (key) => client.zRangeByScore(key, from ?? '-inf', to ?? '+inf');
+        const union = async (keys) => [...new Set((await Promise.all(keys.map(range))).flat())];
+
+        let ids = null;
+        const narrow = (list) => {
+            const members = new Set(list);
+            ids = ids ? ids.filter(id => members.has(id)) : list;
+        };
+        if (statuses) narrow(await union(statuses.map(KEYS.status)));
+        if (teamIds) narrow(await union(teamIds.map(KEYS.team)));
+        if (!ids) ids = await range(KEYS.byBegin);
+
+        // Indexes narrow the candidates; the filters are checked again on the stored match
+        const found = await this.getMany(ids.map(Number));
+        return [...found.values()].filter(matchesFilters).sort(byBegin);
+    }
+
+    /**
+     * Matches changed and ids removed after a point in time (delta sync)
+     * @param {number} since - Epoch milliseconds
+     * @returns {Promise<{ matches: Array, removed: number[] }>}
+     */
+    async getChangesSince(since) {
+        const client = this.client;
+        if (!client) {
+            const changed = [...this.localChanges].filter(([, time]) => time > since).map(([id]) => id);
+            const removed = [...this.localRemoved].filter(([, time]) => time > since).map(([id]) => id);
+            return { matches: changed.map(id => this.local.get(id)).filter(Boolean).sort(byBegin), removed };
+        }
+
+        const [changed, removed] = await Promise.all([
+            client.zRangeByScore(KEYS.changes, `(${since}`, '+inf'),
+            client.zRangeByScore(KEYS.removed, `(${since}`, '+inf')
+        ]);
+        const found = await this.getMany(changed.map(Number));
+        return { matches: [...found.values()].sort(byBegin), removed: removed.map(Number) };
+    }
+
+    /**
+     * Merge fetched matches and drop removed ones
+     * Only new or modified matches are written, and lastUpdate (ETag, Last-Modified) only moves
+     * when something changed; the read and the write are not one transaction, so callers serialize updates
+     * @returns {Promise<Object>} { previous: Map of the stored versions, changed: Array, removed: number[] }
+     */
+    async update(matches, removedIds = []) {
+        const now = Date.now();
+        const lastUpdate = new Date(now).toISOString();
+
+        // A match can be fetched twice in one batch (e.g. past and running lists): the last copy wins
+        const latest = [...new Map(matches.map(match => [match.id, match])).values()];
+        const previous = await this.getMany([...new Set([...latest.map(m => m.id), ...removedIds])]);
+
+        const changed = latest.filter(match => {
+            const stored = previous.get(match.id);
+            return !stored || JSON.stringify(stored) !== JSON.stringify(match);
+        });
+        const removed = removedIds.filter(id => previous.has(id));
+        if (changed.length === 0 && removed.length === 0) {
+            if (this.client) this._clearLocal();
+            return { previous, changed, removed };
+        }
+
+        const update = {
+            upserts: changed.map(match => ({ match, previous: previous.get(match.id) || null, changedAt: now })),
+            removals: removed.map(id => ({ id, previous: previous.get(id), removedAt: now })),
+            lastUpdate,
+            syncSince: lastUpdate
+        };
+
+        const client = this.client;
+        if (client) {
+            await this._commit(client, update);
+            this._clearLocal();
+        } else {
+            this._applyLocal(update);
+        }
+
+        return { previous, changed, removed };
+    }
+}
+
+module.exports = new MatchStore();
@@ -0,0 +1,341 @@
+const redisClient = require('../config/redis');
+const leaderService = require('./leaderService');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Durable queue of notification jobs (push messages and webhook deliveries), so match processing
+ * doesn't wait on push services or webhook endpoints
+ * Backed by a Redis Stream with a consumer group (every instance runs a worker; jobs left
+ * pending by a crashed instance are claimed by another), or by memory without Redis.
+ *
+ * Jobs carry an idempotency key: a key is only enqueued once, and a job whose key is
+ * already marked sent is acknowledged without sending again. Failed tokens are retried
+ * with exponential backoff, then the job is moved to the dead letter list.
+ */
+class NotificationQueue {
+    constructor() {
+        this.STREAM_KEY = 'notif:queue'; // Stream: { job: JSON(job) }, acknowledged entries are deleted
+        this.GROUP = 'notif-workers';
+        this.DELAYED_KEY = 'notif:queue:delayed'; // Sorted set: JSON(job) scored by the time it is due
+        this.DEAD_KEY = 'notif:queue:dead'; // List: JSON(dead letter), newest first
+        this.IDEMPOTENCY_KEY = 'notif:queue:key'; // String per job key (notif:queue:key:<key>): queued | sent
+
+        this.IDEMPOTENCY_TTL = 7 * 24 * 60 * 60; // Seconds
+        this.MAX_ATTEMPTS = 5;
+        this.MAX_MEMORY_KEYS = 10000; // Expired idempotency keys are swept beyond this size (memory backend)
+        this.RETRY_BASE = 30 * 1000; // 30s, 1m, 2m, 4m between attempts
+        this.DEAD_LETTER_LIMIT = 500;
+        this.BATCH_SIZE = 10; // Jobs read per poll
+        this.POLL_INTERVAL = 1000;
+        this.CLAIM_IDLE = 5 * 60 * 1000; // Pending jobs untouched this long are taken over
+
+        this.backend = null; // 'redis' | 'memory'
+        this.handler = null;
+        this.running = false;
+        this.loop = null; // Promise of the running worker loop
+        this.stats = { processed: 0, retried: 0, deadLettered: 0, duplicates: 0 };
+
+        // Memory backend
+        this.memoryJobs = [];
+        this.memoryDelayed = []; // [{ job, dueAt }]
+        this.memoryDead = [];
+        this.memoryKeys = new Map(); // key -> { state, expiresAt }
+    }
+
+    get client() {
+        return redisClient.client;
+    }
+
+    /**
+     * Pick the backend and start the worker (startup)
+     * @param {Function} handler - async (job, { lastAttempt }) => { failedTokens }; throwing retries the whole job
+     */
+    async start(handler) {
+        this.handler = handler;
+        this.backend = redisClient.isConnected ? 'redis' : 'memory';
+
+        if (this.backend === 'redis') {
+            try {
+                await this.client.xGroupCreate(this.STREAM_KEY, this.GROUP, '0', { MKSTREAM: true });
+            } catch (error) {
+                if (!String(error.message).includes('BUSYGROUP')) throw error;
+            }
+        }
+
+        console.log(`📬 Notification queue: ${this.backend}`);
+        this.running = true;
+        this.loop = this._loop();
+    }
+
+    /**
+     * Stop the worker, waiting for the batch in progress (shutdown, before Redis disconnects)
+     */
+    async stop() {
+        this.running = false;
+        await this.loop;
+        this.loop = null;
+    }
+
+    async _loop() {
+        while (this.running) {
+            let processed = 0;
+            try {
+                await this._promoteDelayed();
+                processed = await this._processBatch();
+            } catch (error) {
+                console.error('❌ Notification queue error:', error.message);
+            }
+
+            if (processed === 0) {
+                await sleep(this.POLL_INTERVAL);
+            }
+        }
+    }
+
+    // ===== Idempotency =====
+
+    async _claimKey(key) {
+        if (this.backend === 'redis') {
+            const result = await this.client.set(`${this.IDEMPOTENCY_KEY}:${key}`, 'queued', { NX: true, EX: this.IDEMPOTENCY_TTL });
+            return result === 'OK';
+        }
+
+        if (this.memoryKeys.size >= this.MAX_MEMORY_KEYS) {
+            const now = Date.now();
+            for (const [memoryKey, entry] of this.memoryKeys) {
+                if (entry.expiresAt <= now) this.memoryKeys.delete(memoryKey);
+            }
+        }
+
+        const entry = this.memoryKeys.get(key);
+        if (entry && entry.expiresAt > Date.now()) return false;
+        this.memoryKeys.set(key, { state: 'queued', expiresAt: Date.now() + this.IDEMPOTENCY_TTL * 1000 });
+        return true;
+    }
+
+    async _isSent(key) {
+        if (this.backend === 'redis') {
+            return await this.client.get(`${this.IDEMPOTENCY_KEY}:${key}`) === 'sent';
+        }
+        return this.memoryKeys.get(key)?.state === 'sent';
+    }
+
+    async _markSent(key) {
+        if (this.backend === 'redis') {
+            await this.client.set(`${this.IDEMPOTENCY_KEY}:${key}`, 'sent', { EX: this.IDEMPOTENCY_TTL });
+            return;
+        }
+        this.memoryKeys.set(key, { state: 'sent', expiresAt: Date.now() + this.IDEMPOTENCY_TTL * 1000 });
+    }
+
+    async _releaseKey(key) {
+        if (this.backend === 'redis') {
+            await this.client.del(`${this.IDEMPOTENCY_KEY}:${key}`);
+            return;
+        }
+        this.memoryKeys.delete(key);
+    }
+
+    // ===== Producer =====
+
+    /**
+     * Add a job unless its key was already enqueued
+     * @param {Object} job - { key, type, language, tokens, params, data }
+     * @returns {Promise<boolean>} false for a duplicate
+     */
+    async enqueue(job) {
+        if (!await this._claimKey(job.key)) {
+            this.stats.duplicates++;
+            return false;
+        }
+
+        try {
+            await this._push({ ...job, attempt: 1, enqueuedAt: new Date().toISOString() });
+        } catch (error) {
+            // Otherwise the key would block the event until it expires
+            await this._releaseKey(job.key).catch(() => {});
+            throw error;
+        }
+        return true;
+    }
+
+    async _push(job) {
+        if (this.backend === 'redis') {
+            await this.client.xAdd(this.STREAM_KEY, '*', { job: JSON.stringify(job) });
+        } else {
+            this.memoryJobs.push(job);
+        }
+    }
+
+    // ===== Worker =====
+
+    /**
+     * Move retries that are due back onto the queue
+     */
+    async _promoteDelayed() {
+        const now = Date.now();
+
+        if (this.backend === 'memory') {
+            const due = this.memoryDelayed.filter(entry => entry.dueAt <= now);
+            this.memoryDelayed = this.memoryDelayed.filter(entry => entry.dueAt > now);
+            due.forEach(entry => this.memoryJobs.push(entry.job));
+            return;
+        }
+
+        const due = await this.client.zRangeByScore(this.DELAYED_KEY, '-inf', now);
+        for (const json of due) {
+            // Whoever removes the entry re-queues it, so each retry is queued once across instances
+            if (await this.client.zRem(this.DELAYED_KEY, json) > 0) {
+                await this.client.xAdd(this.STREAM_KEY, '*', { job: json });
+            }
+        }
+    }
+
+    async _processBatch() {
+        if (this.backend === 'memory') {
+            const jobs = this.memoryJobs.splice(0, this.BATCH_SIZE);
+            for (const job of jobs) {
+                await this._process(job);
+            }
+            return jobs.length;
+        }
+
+        const consumer = leaderService.instanceId;
+
+        // Jobs a crashed worker read but never acknowledged
+        const claimed = await this.client.xAutoClaim(this.STREAM_KEY, this.GROUP, consumer, this.CLAIM_IDLE, '0-0', { COUNT: this.BATCH_SIZE });
+        let messages = (claimed?.messages || []).filter(Boolean);
+
+        if (messages.length === 0) {
+            const streams = await this.client.xReadGroup(this.GROUP, consumer, { key: this.STREAM_KEY, id: '>' }, { COUNT: this.BATCH_SIZE });
+            messages = streams?.[0]?.messages || [];
+        }
+
+        for (const { id, message } of messages) {
+            await this._process(JSON.parse(message.job));
+            await this.client.xAck(this.STREAM_KEY, this.GROUP, id);
+            await this.client.xDel(this.STREAM_KEY, id);
+        }
+        return messages.length;
+    }
+
+    /**
+     * Send one job; failed tokens are retried later or dead-lettered
+     */
+    async _process(job) {
+        if (await this._isSent(job.key)) {
+            this.stats.duplicates++;
+            return;
+        }
+
+        const lastAttempt = job.attempt >= this.MAX_ATTEMPTS;
+        let failedTokens = [];
+        let error = null;
+
+        try {
+            const result = await this.handler(job, { lastAttempt });
+            failedTokens = result?.failedTokens || [];
+            error = failedTokens.length > 0 ? 'Delivery failed for some tokens' : null;
+        } catch (e) {
+            failedTokens = job.tokens;
+            error = e.message;
+        }
+
+        this.stats.processed++;
+
+        // Failures are handed on before the job is marked sent, so a crash in between can't lose them
+        if (failedTokens.length > 0 && lastAttempt) {
+            await this._deadLetter({ ...job, tokens: failedTokens }, error);
+        } else if (failedTokens.length > 0) {
+            // The retry only targets the failed tokens and gets its own key
+            const originalKey = job.originalKey || job.key;
+            const retry = {
+                ...job,
+                key: `${originalKey}#${job.attempt + 1}`,
+                originalKey,
+                tokens: failedTokens,
+                attempt: job.attempt + 1,
+                lastError: error
+            };
+            if (await this._claimKey(retry.key)) {
+                try {
+                    await this._delay(retry, this.RETRY_BASE * 2 ** (job.attempt - 1));
+                } catch (error) {
+                    // The job stays unacknowledged and is claimed again, so its retry must be claimable too
+                    await this._releaseKey(retry.key).catch(() => {});
+                    throw error;
+                }
+                this.stats.retried++;
+            }
+        }
+
+        await this._markSent(job.key);
+    }
+
+    async _delay(job, ms) {
+        const dueAt = Date.now() + ms;
+        if (this.backend === 'redis') {
+            await this.client.zAdd(this.DELAYED_KEY, { score: dueAt, value: JSON.stringify(job) });
+        } else {
+            this.memoryDelayed.push({ job, dueAt });
+        }
+    }
+
+    async _deadLetter(job, error) {
+        const entry = { job, error, failedAt: new Date().toISOString() };
+        this.stats.deadLettered++;
+        console.warn(`⚠️ Notification job ${job.key} failed after ${job.attempt} attempts (${error})`);
+
+        if (this.backend === 'redis') {
+            await this.client.lPush(this.DEAD_KEY, JSON.stringify(entry));
+            await this.client.lTrim(this.DEAD_KEY, 0, this.DEAD_LETTER_LIMIT - 1);
+        } else {
+            this.memoryDead.unshift(entry);
+            this.memoryDead.length = Math.min(this.memoryDead.length, this.DEAD_LETTER_LIMIT);
+        }
+    }
+
+    // ===== Inspection =====
+
+    /**
+     * Queue depth and failures
+     * @param {number} limit - Dead letters to include, newest first
+     * @returns {Promise<Object>} { backend, depth, pending, delayed, deadLetters, failures, stats }
+     */
+    async getStatus(limit = 20) {
+        const stats = { ...this.stats };
+
+        if (this.backend !== 'redis') {
+            return {
+                backend: this.backend,
+                depth: this.memoryJobs.length,
+                pending: 0,
+                delayed: this.memoryDelayed.length,
+                deadLetters: this.memoryDead.length,
+                failures: this.memoryDead.slice(0, limit),
+                stats
+            };
+        }
+
+        const [depth, pending, delayed, deadLetters, failures] = await Promise.all([
+            this.client.xLen(this.STREAM_KEY),
+            this.client.xPending(this.STREAM_KEY, this.GROUP),
+            this.client.zCard(this.DELAYED_KEY),
+            this.client.lLen(this.DEAD_KEY),
+            this.client.lRange(this.DEAD_KEY, 0, limit - 1)
+        ]);
+
+        return {
+            backend: this.backend,
+            depth, // Jobs not yet acknowledged, including pending ones
+            pending: pending.pending, // Read by a worker, not yet acknowledged
+            delayed, // Retries waiting for their backoff
+            deadLetters,
+            failures: failures.map(json => JSON.parse(json)),
+            stats // Counters of this instance since it started
+        };
+    }
+}
+
+module.exports = new NotificationQueue();
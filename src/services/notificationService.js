@@ -1,106 +1,443 @@
-const admin = require('firebase-admin');
-const redisClient = require('../config/redis');
+const crypto = require('crypto');
+const storage = require('../storage');
+const transports = require('../transports');
+const localeService = require('./localeService');
+const teamRegistryService = require('./teamRegistryService');
+const webhookService = require('./webhookService');
+const notificationQueue = require('./notificationQueue');
 
-// Initialize Firebase Admin SDK
-let firebaseInitialized = false;
+const STAGE_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
 
-function initializeFirebase() {
-    if (firebaseInitialized) return;
+/**
+ * Parse reminder lead times like "24h,1h,10m" (largest first)
+ */
+function parseReminderStages(value) {
+    return String(value)
+        .split(',')
+        .map(label => label.trim())
+        .filter(label => /^\d+[mhd]$/.test(label))
+        .map(label => {
+            const amount = parseInt(label, 10);
+            const unit = label.slice(-1);
+            return { label, amount, unit, ms: amount * STAGE_UNITS[unit] };
+        })
+        .sort((a, b) => b.ms - a.ms);
+}
 
-    try {
-        // Check if service account credentials are provided
-        if (process.env.FIREBASE_SERVICE_ACCOUNT) {
-            // Decode base64 service account (for production)
-            const serviceAccount = JSON.parse(
-                Buffer.from(process.env.FIREBASE_SERVICE_ACCOUNT, 'base64').toString('utf-8')
-            );
+class NotificationService {
+    constructor() {
+        this.TOKENS_KEY = 'fcm:tokens'; // Hash: { token: JSON({ favoriteTeams, subscriptions, language, transport }) }
+        this.MATCH_STATUS_KEY = 'match:statuses'; // Hash: { matchId: status }
+        this.MATCH_SCORES_KEY = 'match:scores'; // Hash: { matchId: "score1-score2" }
+        this.MATCH_REMINDER_KEY = 'match:reminders'; // Hash per stage (match:reminders:<stage>): { matchId: begin_at reminded for }
+        this.DEFERRED_KEY = 'notif:deferred'; // Hash per token (notif:deferred:<token>): { matchId: JSON(notification) }
+        this.DEFERRED_TOKENS_KEY = 'notif:deferred:tokens'; // Set: tokens with deferred notifications
+        this.HISTORY_KEY = 'notif:history'; // List per token (notif:history:<token>): JSON(notification), newest first
+        this.HISTORY_READ_KEY = 'notif:history:read'; // Set per token (notif:history:read:<token>): read notification ids
+        this.HISTORY_LIMIT = 100; // Notifications kept per token
+        this.HISTORY_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+        this.QUEUE_BATCH_SIZE = 500; // Tokens per queued job (FCM multicast limit)
+        this.FAVORITE_TEAMS_LIMIT = 50; // Favorite team names per registration
 
-            admin.initializeApp({
-                credential: admin.credential.cert(serviceAccount)
-            });
-        } else if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
-            // Use file path (for local development)
-            admin.initializeApp({
-                credential: admin.credential.applicationDefault()
-            });
-        } else {
-            console.warn('⚠️ Firebase Admin SDK not initialized: No credentials found');
-            return;
+        // Reminder lead times users can pick from, and the ones used when they haven't picked
+        this.REMINDER_STAGES = parseReminderStages(process.env.REMINDER_STAGES || '24h,1h,10m');
+        this.DEFAULT_REMINDER_STAGES = parseReminderStages(process.env.REMINDER_DEFAULT_STAGES || '10m')
+            .map(stage => stage.label)
+            .filter(label => this.REMINDER_STAGES.some(stage => stage.label === label));
+        this.REMINDER_GRACE = 5 * 60 * 1000; // Buffer for cron intervals
+
+        // Followable entities: subscription type -> match field holding its id
+        this.SUBSCRIPTION_TYPES = {
+            matches: (match) => [match.id],
+            teams: (match) => (match.opponents || []).map(o => o.opponent?.id),
+            tournaments: (match) => [match.tournament_id],
+            series: (match) => [match.serie_id],
+            leagues: (match) => [match.league_id]
+        };
+    }
+
+    // At least one transport (FCM, Web Push, local) is configured
+    get pushEnabled() {
+        return transports.anyAvailable;
+    }
+
+    /**
+     * Normalize a subscriptions payload to { matches, teams, tournaments, series, leagues } id arrays
+     * @returns {Object|null} Normalized subscriptions or null if invalid
+     */
+    normalizeSubscriptions(subscriptions = {}) {
+        if (typeof subscriptions !== 'object' || subscriptions === null) return null;
+
+        const normalized = {};
+
+        for (const type of Object.keys(this.SUBSCRIPTION_TYPES)) {
+            const list = subscriptions[type] || [];
+            if (!Array.isArray(list)) return null;
+
+            const ids = list.map(Number);
+            if (!ids.every(Number.isInteger)) return null;
+            normalized[type] = [...new Set(ids)];
         }
 
-        firebaseInitialized = true;
-        console.log('✅ Firebase Admin SDK initialized');
-    } catch (error) {
-        console.error('❌ Failed to initialize Firebase Admin SDK:', error.message);
+        return normalized;
+    }
+
+    /**
+     * Favorite teams are a bounded list of non-empty team names
+     */
+    isValidFavoriteTeams(favoriteTeams) {
+        return Array.isArray(favoriteTeams) &&
+            favoriteTeams.length <= this.FAVORITE_TEAMS_LIMIT &&
+            favoriteTeams.every(name => typeof name === 'string' && name.trim() !== '');
     }
-}
 
-// Initialize on module load
-initializeFirebase();
+    /**
+     * Parse stored token data (handles the old array-only format)
+     */
+    parseUserData(dataJson) {
+        const userData = JSON.parse(dataJson);
 
-class NotificationService {
-    constructor() {
-        this.TOKENS_KEY = 'fcm:tokens'; // Hash: { token: JSON({ favoriteTeams, language }) }
-        this.MATCH_STATUS_KEY = 'match:statuses'; // Hash: { matchId: status }
-        this.MATCH_SCORES_KEY = 'match:scores'; // Hash: { matchId: "score1-score2" }
-        this.MATCH_REMINDER_KEY = 'match:reminders'; // Set: matchIds that got 10min reminder
-
-        // Localized notification message templates
-        this.MESSAGES = {
-            en: {
-                matchStarting: (t1, t2) => ({ title: '🔴 LIVE NOW', body: `${t1} vs ${t2} is starting!` }),
-                matchFinished: (w, l, s) => ({ title: '✅ MATCH FINISHED', body: `${w} defeated ${l} ${s}` }),
-                reminder: (t1, t2) => ({ title: '⏰ MATCH STARTING SOON', body: `${t1} vs ${t2} starts in 10 minutes!` }),
-                scoreUpdate: (t1, s1, s2, t2) => ({ title: '📊 SCORE UPDATE', body: `${t1} ${s1} - ${s2} ${t2}` })
-            },
-            tr: {
-                matchStarting: (t1, t2) => ({ title: '🔴 CANLI', body: `${t1} vs ${t2} başlıyor!` }),
-                matchFinished: (w, l, s) => ({ title: '✅ MAÇ BİTTİ', body: `${w}, ${l}'i ${s} yendi` }),
-                reminder: (t1, t2) => ({ title: '⏰ MAÇ BAŞLAMAK ÜZERE', body: `${t1} vs ${t2} 10 dakika içinde başlıyor!` }),
-                scoreUpdate: (t1, s1, s2, t2) => ({ title: '📊 SKOR GÜNCELLENDİ', body: `${t1} ${s1} - ${s2} ${t2}` })
+        if (Array.isArray(userData)) {
+            return {
+                favoriteTeams: userData,
+                subscriptions: this.normalizeSubscriptions(),
+                preferences: this.defaultPreferences(),
+                language: 'en', // Default for old tokens
+                transport: transports.DEFAULT
+            };
+        }
+
+        return {
+            ...userData,
+            favoriteTeams: userData.favoriteTeams || [],
+            subscriptions: this.normalizeSubscriptions(userData.subscriptions) || this.normalizeSubscriptions(),
+            preferences: this.parseStoredPreferences(userData.preferences),
+            language: userData.language || 'en',
+            transport: userData.transport || transports.DEFAULT
+        };
+    }
+
+    /**
+     * Stored preferences are applied field by field (and event by event) over the defaults,
+     * so an invalid value (e.g. a time zone or reminder stage no longer supported) only resets itself
+     */
+    parseStoredPreferences(stored) {
+        let preferences = this.defaultPreferences();
+        if (typeof stored !== 'object' || stored === null) return preferences;
+
+        const updates = [
+            ...Object.entries(typeof stored.events === 'object' && stored.events !== null ? stored.events : {})
+                .map(([type, enabled]) => ({ events: { [type]: enabled } })),
+            ...['timezone', 'quietHours', 'reminders']
+                .filter(field => stored[field] !== undefined)
+                .map(field => ({ [field]: stored[field] }))
+        ];
+
+        for (const update of updates) {
+            preferences = this.normalizePreferences(update, preferences).preferences || preferences;
+        }
+        return preferences;
+    }
+
+    defaultPreferences() {
+        return {
+            events: Object.fromEntries(localeService.MESSAGE_TYPES.map(type => [type, true])),
+            quietHours: null,
+            timezone: 'UTC',
+            reminders: null // Reminder stages, null = server default
+        };
+    }
+
+    /**
+     * Validate a (partial) preferences update and merge it over the current preferences
+     * @param {Object} update - { events?: { [messageType]: boolean }, quietHours?: { start, end, mode } | null, timezone?, reminders?: string[] | null }
+     * @param {Object} current - Current preferences (defaults if omitted)
+     * @returns {{ preferences: Object } | { error: string }}
+     */
+    normalizePreferences(update = {}, current = this.defaultPreferences()) {
+        if (typeof update !== 'object' || update === null) {
+            return { error: 'preferences must be an object' };
+        }
+
+        const preferences = {
+            events: { ...current.events },
+            quietHours: current.quietHours,
+            timezone: current.timezone,
+            reminders: current.reminders || null
+        };
+
+        if (update.events !== undefined) {
+            for (const [type, enabled] of Object.entries(update.events || {})) {
+                if (!(type in preferences.events) || typeof enabled !== 'boolean') {
+                    return { error: `events must map ${Object.keys(preferences.events).join(', ')} to booleans` };
+                }
+                preferences.events[type] = enabled;
             }
+        }
+
+        if (update.timezone !== undefined) {
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone: update.timezone });
+                preferences.timezone = update.timezone;
+            } catch (e) {
+                return { error: 'timezone must be a valid IANA time zone (e.g. Europe/Istanbul)' };
+            }
+        }
+
+        if (update.quietHours !== undefined) {
+            if (update.quietHours === null) {
+                preferences.quietHours = null;
+            } else {
+                const { start, end, mode = 'suppress' } = update.quietHours;
+                const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+                if (!timePattern.test(start) || !timePattern.test(end)) {
+                    return { error: 'quietHours start and end must be HH:MM (24h)' };
+                }
+                if (!['suppress', 'defer'].includes(mode)) {
+                    return { error: 'quietHours mode must be suppress or defer' };
+                }
+                preferences.quietHours = { start, end, mode };
+            }
+        }
+
+        if (update.reminders !== undefined) {
+            const available = this.REMINDER_STAGES.map(stage => stage.label);
+            if (update.reminders !== null &&
+                (!Array.isArray(update.reminders) || !update.reminders.every(label => available.includes(label)))) {
+                return { error: `reminders must be null or a list of: ${available.join(', ')}` };
+            }
+            preferences.reminders = update.reminders && [...new Set(update.reminders)];
+        }
+
+        return { preferences };
+    }
+
+    /**
+     * Check if a user wants a notification (event type enabled, reminder stage selected)
+     * @param {Object} preferences - Parsed preferences
+     * @param {string} messageType - Message template key
+     * @param {Object} data - Notification data payload
+     */
+    wantsNotification(preferences, messageType, data) {
+        if (!preferences.events[messageType]) return false;
+
+        if (messageType === 'reminder') {
+            const stages = preferences.reminders || this.DEFAULT_REMINDER_STAGES;
+            return stages.includes(data.stage);
+        }
+
+        return true;
+    }
+
+    /**
+     * Check if a moment falls inside the user's quiet hours (in their time zone)
+     * @param {Object} preferences - Parsed preferences
+     * @param {Date} now - Moment to check
+     */
+    isQuietTime(preferences, now = new Date()) {
+        const quietHours = preferences.quietHours;
+        if (!quietHours) return false;
+
+        const toMinutes = (hhmm) => {
+            const [hours, minutes] = hhmm.split(':').map(Number);
+            return hours * 60 + minutes;
         };
+
+        const localTime = new Intl.DateTimeFormat('en-GB', {
+            timeZone: preferences.timezone,
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).format(now);
+
+        const current = toMinutes(localTime);
+        const start = toMinutes(quietHours.start);
+        const end = toMinutes(quietHours.end);
+
+        if (start === end) return false;
+        // Windows like 23:00-08:00 wrap around midnight
+        return start < end ? current >= start && current < end : current >= start || current < end;
+    }
+
+    async getUserData(fcmToken) {
+        const dataJson = await storage.hGet(this.TOKENS_KEY, fcmToken);
+        return dataJson ? this.parseUserData(dataJson) : null;
+    }
+
+    async saveUserData(fcmToken, userData) {
+        await storage.hSet(this.TOKENS_KEY, fcmToken, JSON.stringify(userData));
     }
 
     /**
-     * Register a user's FCM token with their favorite teams and language
+     * Register a user's FCM token with their favorite teams, followed entities and language
      * @param {string} fcmToken - Firebase Cloud Messaging token
      * @param {string[]} favoriteTeams - Array of favorite team names
-     * @param {string} language - User's preferred language ('en' or 'tr')
+     * @param {string} language - User's preferred locale (e.g. 'en', 'tr', 'pt-BR')
+     * @param {Object} subscriptions - Followed ids: { matches, teams, tournaments, series, leagues }
+     * @param {Object} preferences - Optional notification preferences (kept from a previous registration if omitted)
+     * @param {Object} delivery - { transport: 'fcm' | 'webpush' | 'local', pushSubscription (webpush only) }
      */
-    async registerToken(fcmToken, favoriteTeams, language = 'en') {
+    async registerToken(fcmToken, favoriteTeams = [], language = 'en', subscriptions = {}, preferences = undefined, { transport = transports.DEFAULT, pushSubscription = null } = {}) {
         try {
-            if (!fcmToken || !favoriteTeams || favoriteTeams.length === 0) {
-                throw new Error('FCM token and favorite teams are required');
+            if (!transports.get(transport)) {
+                throw new Error(`Unknown transport: ${transport}`);
+            }
+            if (transport === 'webpush' && !transports.get('webpush').isValidSubscription(pushSubscription)) {
+                throw new Error('A valid pushSubscription is required for web push');
+            }
+
+            const normalizedSubscriptions = this.normalizeSubscriptions(subscriptions);
+            if (!normalizedSubscriptions) {
+                throw new Error('Subscription ids must be integers');
             }
 
-            // Store token with favorite teams and language in Redis
+            const followCount = Object.values(normalizedSubscriptions).reduce((sum, ids) => sum + ids.length, 0);
+            if (!fcmToken || (favoriteTeams.length === 0 && followCount === 0)) {
+                throw new Error('FCM token and favorite teams or subscriptions are required');
+            }
+
+            const existing = await this.getUserData(fcmToken);
+            const currentPreferences = existing ? existing.preferences : this.defaultPreferences();
+            const normalizedPreferences = preferences === undefined
+                ? { preferences: currentPreferences }
+                : this.normalizePreferences(preferences, currentPreferences);
+            if (normalizedPreferences.error) {
+                throw new Error(normalizedPreferences.error);
+            }
+
+            // Favorite team names are followed by id; unknown names keep name-based matching
+            const { resolved, unresolved } = await teamRegistryService.resolveTeams(favoriteTeams);
+            normalizedSubscriptions.teams = [...new Set([...normalizedSubscriptions.teams, ...resolved.map(team => team.id)])];
+
+            // Store token with favorite teams, subscriptions, preferences and language
             const userData = {
-                favoriteTeams,
-                language: language || 'en'
+                favoriteTeams: unresolved,
+                subscriptions: normalizedSubscriptions,
+                preferences: normalizedPreferences.preferences,
+                language: localeService.normalize(language || 'en'),
+                transport,
+                ...(pushSubscription && { pushSubscription })
             };
 
-            await redisClient.client.hSet(
-                this.TOKENS_KEY,
-                fcmToken,
-                JSON.stringify(userData)
-            );
+            await this.saveUserData(fcmToken, userData);
 
-            console.log(`📲 Registered FCM token for ${favoriteTeams.length} teams (${language})`);
-            return { success: true };
+            console.log(`📲 Registered ${transport} token for ${favoriteTeams.length} teams (${unresolved.length} unresolved) and ${followCount} subscriptions (${language})`);
+            return { success: true, resolvedTeams: resolved, unresolvedTeams: unresolved };
         } catch (error) {
             console.error('❌ Error registering FCM token:', error.message);
             throw error;
         }
     }
 
+    /**
+     * Follow or unfollow a single match, team, tournament, serie or league
+     * @param {string} fcmToken - Firebase Cloud Messaging token
+     * @param {string} type - One of matches, teams, tournaments, series, leagues
+     * @param {number} id - PandaScore id
+     * @param {boolean} subscribe - true to follow, false to unfollow
+     * @returns {Promise<Object|null>} Updated subscriptions, or null if the token is not registered
+     */
+    async updateSubscription(fcmToken, type, id, subscribe) {
+        try {
+            const userData = await this.getUserData(fcmToken);
+            if (!userData) return null;
+
+            const ids = userData.subscriptions[type].filter(existing => existing !== id);
+            userData.subscriptions[type] = subscribe ? [...ids, id] : ids;
+
+            await this.saveUserData(fcmToken, userData);
+
+            console.log(`📲 ${subscribe ? 'Subscribed to' : 'Unsubscribed from'} ${type} ${id}`);
+            return { success: true, subscriptions: userData.subscriptions };
+        } catch (error) {
+            console.error('❌ Error updating subscription:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a token's notification preferences
+     * @returns {Promise<Object|null>} Preferences, or null if the token is not registered
+     */
+    async getPreferences(fcmToken) {
+        const userData = await this.getUserData(fcmToken);
+        return userData ? userData.preferences : null;
+    }
+
+    /**
+     * Update a token's notification preferences (partial update)
+     * @returns {Promise<Object|null>} { preferences } or { error }, or null if the token is not registered
+     */
+    async updatePreferences(fcmToken, update) {
+        try {
+            const userData = await this.getUserData(fcmToken);
+            if (!userData) return null;
+
+            const result = this.normalizePreferences(update, userData.preferences);
+            if (result.error) return result;
+
+            userData.preferences = result.preferences;
+            await this.saveUserData(fcmToken, userData);
+
+            console.log('📲 Updated notification preferences');
+            return result;
+        } catch (error) {
+            console.error('❌ Error updating preferences:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Move name-only favorites to team id subscriptions
+     * Covers registrations from before id resolution and names that only resolve after an alias was added.
+     * Names are resolved once per run from the alias registry and team list (no PandaScore search).
+     */
+    async migrateLegacyRegistrations() {
+        try {
+            const tokenData = await storage.hGetAll(this.TOKENS_KEY);
+            const tokens = Object.entries(tokenData)
+                .filter(([, dataJson]) => this.parseUserData(dataJson).favoriteTeams.length > 0)
+                .map(([token]) => token);
+            if (tokens.length === 0) return { migrated: 0 };
+
+            const names = new Set(tokens.flatMap(token => this.parseUserData(tokenData[token]).favoriteTeams));
+            const { resolved } = await teamRegistryService.resolveTeams([...names], { search: false });
+            const teamIds = new Map(resolved.map(team => [team.name, team.id]));
+            let migrated = 0;
+
+            for (const token of tokens) {
+                // Read again right before writing, so changes made during resolution are kept
+                const userData = await this.getUserData(token);
+                if (!userData) continue;
+
+                const ids = userData.favoriteTeams.filter(name => teamIds.has(name)).map(name => teamIds.get(name));
+                if (ids.length === 0) continue;
+
+                userData.subscriptions.teams = [...new Set([...userData.subscriptions.teams, ...ids])];
+                userData.favoriteTeams = userData.favoriteTeams.filter(name => !teamIds.has(name));
+                await this.saveUserData(token, userData);
+                migrated++;
+            }
+
+            if (migrated > 0) {
+                console.log(`🔄 Migrated ${migrated} registrations to team id subscriptions`);
+            }
+            return { migrated };
+        } catch (error) {
+            console.error('❌ Error migrating registrations:', error.message);
+            return { migrated: 0 };
+        }
+    }
+
     /**
      * Unregister a user's FCM token
      * @param {string} fcmToken - Firebase Cloud Messaging token
      */
     async unregisterToken(fcmToken) {
         try {
-            await redisClient.client.hDel(this.TOKENS_KEY, fcmToken);
+            await storage.hDel(this.TOKENS_KEY, fcmToken);
+            await this.clearHistory(fcmToken);
             console.log('📲 Unregistered FCM token');
             return { success: true };
         } catch (error) {
@@ -111,30 +448,27 @@ class NotificationService {
 
     /**
      * Process match status changes and send notifications
+     * Change detection always runs (webhooks need it); pushes are only sent when a transport is configured
      * @param {Array} matches - Array of match objects
      */
     async processMatchUpdates(matches) {
-        if (!firebaseInitialized) {
-            return; // Skip if Firebase is not initialized
-        }
-
         try {
             const now = new Date();
 
             for (const match of matches) {
                 const matchId = match.id.toString();
-                const prevStatus = await redisClient.client.hGet(this.MATCH_STATUS_KEY, matchId);
+                const prevStatus = await storage.hGet(this.MATCH_STATUS_KEY, matchId);
                 const currentStatus = match.status;
 
-                // 1. Check for 10-minute reminder
-                await this.check10MinuteReminder(match, now);
+                // 1. Check for upcoming match reminders
+                await this.checkReminders(match, now);
 
                 // 2. Check for status changes (match start/end)
                 if (prevStatus && prevStatus !== currentStatus) {
                     await this.sendStatusChangeNotification(match, prevStatus, currentStatus);
-                    await redisClient.client.hSet(this.MATCH_STATUS_KEY, matchId, currentStatus);
+                    await storage.hSet(this.MATCH_STATUS_KEY, matchId, currentStatus);
                 } else if (!prevStatus) {
-                    await redisClient.client.hSet(this.MATCH_STATUS_KEY, matchId, currentStatus);
+                    await storage.hSet(this.MATCH_STATUS_KEY, matchId, currentStatus);
                 }
 
                 // 3. Check for score changes (only for running matches)
@@ -148,38 +482,33 @@ class NotificationService {
     }
 
     /**
-     * Send 10-minute reminder for upcoming matches
+     * Send reminders for upcoming matches, one per configured lead time
+     * A stage fires when the match starts within (lead / 2, lead + grace]. Sent stages are
+     * recorded with the begin_at they were sent for, so a rescheduled match is reminded again.
      */
-    async check10MinuteReminder(match, now) {
+    async checkReminders(match, now) {
         try {
+            if (!this.pushEnabled || match.status !== 'not_started') return;
+
             const matchId = match.id.toString();
-            const matchTime = new Date(match.begin_at || match.scheduled_at);
-            const timeDiff = matchTime - now;
-            const tenMinutes = 10 * 60 * 1000; // 10 minutes in milliseconds
-
-            // Check if match starts in next 10-15 minutes (buffer for cron intervals)
-            if (timeDiff > 0 && timeDiff <= tenMinutes + (5 * 60 * 1000)) {
-                const alreadySent = await redisClient.client.sIsMember(this.MATCH_REMINDER_KEY, matchId);
-
-                if (!alreadySent) {
-                    const teamNames = [
-                        match.opponents[0]?.opponent?.name || 'Team 1',
-                        match.opponents[1]?.opponent?.name || 'Team 2'
-                    ];
-
-                    await this.sendLocalizedNotification(
-                        teamNames,
-                        'reminder',
-                        [teamNames[0], teamNames[1]],
-                        { match_id: matchId, type: 'reminder' }
-                    );
-
-                    // Mark as sent
-                    await redisClient.client.sAdd(this.MATCH_REMINDER_KEY, matchId);
-                }
+            const beginAt = match.begin_at || match.scheduled_at;
+            const timeDiff = new Date(beginAt) - now;
+
+            for (const stage of this.REMINDER_STAGES) {
+                if (timeDiff <= stage.ms / 2 || timeDiff > stage.ms + this.REMINDER_GRACE) continue;
+
+                const stageKey = `${this.MATCH_REMINDER_KEY}:${stage.label}`;
+                const remindedFor = await storage.hGet(stageKey, matchId);
+                if (remindedFor === beginAt) continue;
+
+                const { params, data } = this.buildEventNotification(match, 'reminder', stage);
+                await this.sendLocalizedNotification(match, 'reminder', params, data);
+
+                // Mark as sent for this begin_at
+                await storage.hSet(stageKey, matchId, beginAt);
             }
         } catch (error) {
-            console.error('❌ Error checking 10-minute reminder:', error.message);
+            console.error('❌ Error checking reminders:', error.message);
         }
     }
 
@@ -193,24 +522,14 @@ class NotificationService {
             const score2 = match.results?.[1]?.score || 0;
             const currentScore = `${score1}-${score2}`;
 
-            const prevScore = await redisClient.client.hGet(this.MATCH_SCORES_KEY, matchId);
+            const prevScore = await storage.hGet(this.MATCH_SCORES_KEY, matchId);
 
             if (prevScore && prevScore !== currentScore) {
-                const teamNames = [
-                    match.opponents[0]?.opponent?.name || 'Team 1',
-                    match.opponents[1]?.opponent?.name || 'Team 2'
-                ];
-
-                await this.sendLocalizedNotification(
-                    teamNames,
-                    'scoreUpdate',
-                    [teamNames[0], score1, score2, teamNames[1]],
-                    { match_id: matchId, type: 'score_update', score: currentScore }
-                );
+                await this.emitMatchEvent(match, 'scoreUpdate');
             }
 
             // Update stored score
-            await redisClient.client.hSet(this.MATCH_SCORES_KEY, matchId, currentScore);
+            await storage.hSet(this.MATCH_SCORES_KEY, matchId, currentScore);
         } catch (error) {
             console.error('❌ Error checking score change:', error.message);
         }
@@ -220,157 +539,577 @@ class NotificationService {
      * Send notification for status changes (match start/end)
      */
     async sendStatusChangeNotification(match, oldStatus, newStatus) {
-        const teamNames = [
-            match.opponents[0]?.opponent?.name || 'Team 1',
-            match.opponents[1]?.opponent?.name || 'Team 2'
-        ];
-
+        let messageType = null;
         if (newStatus === 'running' && oldStatus === 'not_started') {
-            await this.sendLocalizedNotification(
-                teamNames,
-                'matchStarting',
-                [teamNames[0], teamNames[1]],
-                { match_id: match.id.toString(), type: 'status_change', status: newStatus }
-            );
+            messageType = 'matchStarting';
         } else if (newStatus === 'finished' && oldStatus === 'running') {
-            const score1 = match.results?.[0]?.score || 0;
-            const score2 = match.results?.[1]?.score || 0;
-            const winner = score1 > score2 ? teamNames[0] : teamNames[1];
-            const loser = score1 > score2 ? teamNames[1] : teamNames[0];
-            const score = `(${score1}-${score2})`;
+            messageType = 'matchFinished';
+        }
+        if (!messageType) return;
+
+        await this.emitMatchEvent(match, messageType);
+    }
+
+    /**
+     * Fan a detected match event out to webhooks and followers' devices
+     */
+    async emitMatchEvent(match, messageType) {
+        const { params, data } = this.buildEventNotification(match, messageType);
+        await webhookService.dispatch(match, messageType, params, this.eventKey(match, messageType, data));
+        await this.sendLocalizedNotification(match, messageType, params, data);
+    }
 
-            await this.sendLocalizedNotification(
-                teamNames,
-                'matchFinished',
-                [winner, loser, score],
-                { match_id: match.id.toString(), type: 'status_change', status: newStatus }
-            );
+    /**
+     * Template params and data payload for a match event
+     * @param {string} messageType - matchStarting | matchFinished | reminder | scoreUpdate
+     * @param {Object} stage - Reminder stage (reminders only)
+     * @returns {{ params: Object, data: Object }}
+     */
+    buildEventNotification(match, messageType, stage = null) {
+        const matchId = match.id.toString();
+        const team1 = match.opponents?.[0]?.opponent?.name || 'Team 1';
+        const team2 = match.opponents?.[1]?.opponent?.name || 'Team 2';
+        const score1 = match.results?.[0]?.score || 0;
+        const score2 = match.results?.[1]?.score || 0;
+
+        switch (messageType) {
+            case 'matchStarting':
+                return {
+                    params: { team1, team2 },
+                    data: { team1, team2, match_id: matchId, type: 'status_change', status: 'running' }
+                };
+            case 'matchFinished':
+                return {
+                    params: {
+                        winner: score1 > score2 ? team1 : team2,
+                        loser: score1 > score2 ? team2 : team1,
+                        score: `(${score1}-${score2})`
+                    },
+                    data: { team1, team2, match_id: matchId, type: 'status_change', status: 'finished' }
+                };
+            case 'reminder':
+                return {
+                    params: { team1, team2, lead: stage },
+                    data: { team1, team2, match_id: matchId, type: 'reminder', stage: stage.label }
+                };
+            case 'scoreUpdate':
+                return {
+                    params: { team1, score1, score2, team2 },
+                    data: { team1, team2, match_id: matchId, type: 'score_update', score: `${score1}-${score2}` }
+                };
+            default:
+                throw new Error(`Unknown message type: ${messageType}`);
         }
     }
 
     /**
-     * Send localized notifications to users who favorited the teams
+     * Check if a user follows a match (directly, via team, tournament, serie or league, or by favorite team name)
+     * @param {Object} userData - Parsed token data
+     * @param {Object} match - Match object
      */
-    async sendLocalizedNotification(teamNames, messageType, args, additionalData = {}) {
+    isFollowing(userData, match) {
+        const followsById = Object.entries(this.SUBSCRIPTION_TYPES).some(([type, getIds]) =>
+            getIds(match).some(id => id !== undefined && userData.subscriptions[type].includes(id))
+        );
+        if (followsById) return true;
+
+        const teamNames = (match.opponents || []).map(o => o.opponent?.name).filter(Boolean);
+        return teamNames.some(teamName =>
+            userData.favoriteTeams.some(fav =>
+                this.matchesTeam(fav, teamName)
+            )
+        );
+    }
+
+    /**
+     * Idempotency key of a match event: the same event detected twice is only queued once
+     */
+    eventKey(match, messageType, data = {}) {
+        switch (messageType) {
+            case 'scoreUpdate':
+                return `${match.id}:${messageType}:${data.score}`;
+            case 'reminder':
+                return `${match.id}:${messageType}:${data.stage}:${match.begin_at || match.scheduled_at}`;
+            default:
+                return `${match.id}:${messageType}`;
+        }
+    }
+
+    /**
+     * Queue a message for tokens sharing a language, in batches keyed by event, language and batch index
+     * The key doesn't depend on the tokens, so an event detected again after followers changed isn't re-sent
+     * @param {string} eventKey - Idempotency key of the event
+     */
+    async enqueueDelivery(eventKey, tokens, language, messageType, params, data) {
+        const sorted = [...tokens].sort();
+
+        for (let i = 0; i < sorted.length; i += this.QUEUE_BATCH_SIZE) {
+            const batch = sorted.slice(i, i + this.QUEUE_BATCH_SIZE);
+
+            await notificationQueue.enqueue({
+                key: `${eventKey}:${language}:${i / this.QUEUE_BATCH_SIZE}`,
+                type: messageType,
+                language,
+                tokens: batch,
+                params,
+                data
+            });
+        }
+    }
+
+    /**
+     * Send a queued job (notification queue worker)
+     * Failed tokens are only recorded in history on the last attempt; earlier ones are retried
+     * @returns {Promise<Object>} { successCount, failureCount, failedTokens }
+     */
+    async processJob(job, { lastAttempt }) {
+        const { title, body } = localeService.render(job.language, job.type, job.params);
+        return this.sendToTokens(job.tokens, job.type, { title, body }, job.data, job.language, { recordFailures: lastAttempt });
+    }
+
+    /**
+     * Start sending queued notifications and webhook deliveries (startup)
+     */
+    async startQueueWorker() {
+        await notificationQueue.start((job, options) => job.channel === webhookService.JOB_CHANNEL
+            ? webhookService.processJob(job, options)
+            : this.processJob(job, options));
+    }
+
+    /**
+     * Queue localized notifications for users who follow the match
+     * Honors per-user event types and quiet hours (suppressed or deferred)
+     * @param {Object} options - { eventKey } to override the event's idempotency key (replays)
+     */
+    async sendLocalizedNotification(match, messageType, params, data = {}, { eventKey = null } = {}) {
+        if (!this.pushEnabled) return;
+
         try {
-            const tokenData = await redisClient.client.hGetAll(this.TOKENS_KEY);
+            const tokenData = await storage.hGetAll(this.TOKENS_KEY);
             if (!tokenData || Object.keys(tokenData).length === 0) {
                 return;
             }
 
+            const now = new Date();
+
             // Group tokens by language
-            const tokensByLanguage = { en: [], tr: [] };
+            const tokensByLanguage = {};
 
             for (const [token, dataJson] of Object.entries(tokenData)) {
                 try {
-                    const userData = JSON.parse(dataJson);
-                    // Handle both old format (array) and new format (object)
-                    let favoriteTeams, language;
-
-                    if (Array.isArray(userData)) {
-                        favoriteTeams = userData;
-                        language = 'en'; // Default for old tokens
-                    } else {
-                        favoriteTeams = userData.favoriteTeams;
-                        language = userData.language || 'en';
-                    }
-
-                    if (!favoriteTeams) continue;
+                    const userData = this.parseUserData(dataJson);
+                    const language = userData.language;
+                    const preferences = userData.preferences;
 
-                    const isFavorite = teamNames.some(teamName =>
-                        favoriteTeams.some(fav =>
-                            this.matchesTeam(fav, teamName)
-                        )
-                    );
+                    if (!this.isFollowing(userData, match) || !this.wantsNotification(preferences, messageType, data)) {
+                        continue;
+                    }
 
-                    if (isFavorite) {
-                        tokensByLanguage[language] = tokensByLanguage[language] || [];
-                        tokensByLanguage[language].push(token);
+                    if (this.isQuietTime(preferences, now)) {
+                        // Reminders are stale once quiet hours end, everything else can wait
+                        if (preferences.quietHours.mode === 'defer' && messageType !== 'reminder') {
+                            await this.deferNotification(token, match.id, { messageType, params, data });
+                        }
+                        continue;
                     }
+
+                    tokensByLanguage[language] = tokensByLanguage[language] || [];
+                    tokensByLanguage[language].push(token);
                 } catch (e) {
                     console.error('Error parsing token data:', e);
                 }
             }
 
-            // Send notifications for each language
+            // Queue notifications for each language; the queue worker sends them
+            const key = eventKey || this.eventKey(match, messageType, data);
             for (const [language, tokens] of Object.entries(tokensByLanguage)) {
                 if (!tokens || tokens.length === 0) continue;
+                await this.enqueueDelivery(key, tokens, language, messageType, params, data);
+            }
+        } catch (error) {
+            console.error('❌ Error queueing notifications:', error.message);
+        }
+    }
 
-                // Fallback to English if language not supported
-                const templates = this.MESSAGES[language] || this.MESSAGES['en'];
-                const { title, body } = templates[messageType](...args);
+    /**
+     * Send one localized message to a group of tokens sharing a language
+     * @param {Object} params - Template placeholder values
+     */
+    async deliver(tokens, language, messageType, params, data) {
+        // Falls back through the locale chain (e.g. pt-BR -> pt -> en)
+        const { title, body } = localeService.render(language, messageType, params);
+        return this.sendToTokens(tokens, messageType, { title, body }, data, language);
+    }
 
-                const message = {
-                    notification: { title, body },
-                    data: {
-                        team1: teamNames[0],
-                        team2: teamNames[1],
-                        ...additionalData
-                    },
-                    tokens
-                };
+    /**
+     * Send an already rendered message through each token's transport,
+     * drop invalid tokens and record the result in each device's history
+     * @param {Object} options - { recordFailures: false } leaves failed deliveries out of history (to be retried)
+     * @returns {Promise<{ successCount: number, failureCount: number, failedTokens: string[] }>}
+     */
+    async sendToTokens(tokens, messageType, { title, body }, data, language, { recordFailures = true } = {}) {
+        // Group by transport; tokens unregistered in the meantime are skipped
+        const targetsByTransport = {};
+        for (const token of tokens) {
+            const userData = await this.getUserData(token);
+            if (!userData) continue;
+
+            targetsByTransport[userData.transport] = targetsByTransport[userData.transport] || [];
+            targetsByTransport[userData.transport].push({ token, address: userData.pushSubscription || token });
+        }
 
-                const response = await admin.messaging().sendEachForMulticast(message);
-                console.log(`📤 Sent ${response.successCount} "${title}" notifications (${language})`);
+        const sentAt = new Date().toISOString();
+        const invalidTokens = [];
+        const failedTokens = []; // Failed but still valid
+        let successCount = 0;
+        let failureCount = 0;
 
-                // Remove failed tokens
-                if (response.failureCount > 0) {
-                    const failedTokens = [];
-                    response.responses.forEach((resp, idx) => {
-                        if (!resp.success) {
-                            failedTokens.push(tokens[idx]);
-                        }
-                    });
+        for (const [name, targets] of Object.entries(targetsByTransport)) {
+            const transport = transports.get(name);
+            let results;
 
-                    for (const token of failedTokens) {
-                        await redisClient.client.hDel(this.TOKENS_KEY, token);
-                    }
-                    console.log(`🗑️ Removed ${failedTokens.length} invalid tokens`);
+            try {
+                results = transport?.available
+                    ? await transport.send(targets, { title, body }, data)
+                    : targets.map(() => ({ success: false, invalid: false, error: 'TRANSPORT_UNAVAILABLE' }));
+            } catch (error) {
+                console.error(`❌ ${name} transport failed:`, error.message);
+                results = targets.map(() => ({ success: false, invalid: false, error: error.message }));
+            }
+
+            for (const [idx, { token }] of targets.entries()) {
+                const result = results[idx];
+                if (result.success) successCount++;
+                else failureCount++;
+
+                if (result.invalid) {
+                    invalidTokens.push(token);
+                    continue;
+                }
+
+                if (!result.success) {
+                    failedTokens.push(token);
+                    if (!recordFailures) continue;
                 }
+
+                await this.recordHistory(token, {
+                    id: crypto.randomUUID(),
+                    type: messageType,
+                    matchId: data.match_id ? Number(data.match_id) : null,
+                    title,
+                    body,
+                    data,
+                    sentAt,
+                    transport: name,
+                    delivered: result.success,
+                    ...(result.error && { error: result.error })
+                });
+            }
+        }
+
+        console.log(`📤 Sent ${successCount} "${title}" notifications (${language})`);
+
+        // Remove tokens the transports reported as permanently invalid
+        if (invalidTokens.length > 0) {
+            for (const token of invalidTokens) {
+                await storage.hDel(this.TOKENS_KEY, token);
+                await this.clearHistory(token);
             }
+            console.log(`🗑️ Removed ${invalidTokens.length} invalid tokens`);
+        }
+
+        return { successCount, failureCount, failedTokens };
+    }
+
+    /**
+     * Add a notification to a token's history (bounded to HISTORY_LIMIT entries)
+     */
+    async recordHistory(token, entry) {
+        try {
+            const key = `${this.HISTORY_KEY}:${token}`;
+            await storage.lPush(key, JSON.stringify(entry));
+            await storage.lTrim(key, 0, this.HISTORY_LIMIT - 1);
         } catch (error) {
-            console.error('❌ Error sending notifications:', error.message);
+            console.error('❌ Error recording notification history:', error.message);
         }
     }
 
     /**
-     * Check if a team name matches a favorite team (case-insensitive, handles aliases)
-     * @param {string} favorite - Favorite team name
-     * @param {string} teamName - Team name to check
+     * History entries younger than HISTORY_MAX_AGE, newest first
      */
-    matchesTeam(favorite, teamName) {
-        if (!favorite || !teamName) return false;
-
-        const favLower = favorite.toLowerCase().trim();
-        const teamLower = teamName.toLowerCase().trim();
-
-        // Direct match
-        if (favLower === teamLower) return true;
-
-        // Common team aliases
-        const aliases = {
-            'navi': ['natus vincere', 'na\'vi', "na'vi"],
-            'faze': ['faze clan'],
-            'nip': ['ninjas in pyjamas'],
-            'g2': ['g2 esports'],
-            'vitality': ['team vitality'],
-            'mouz': ['mousesports'],
-            'liquid': ['team liquid'],
-            'big': ['big clan'],
-            'spirit': ['team spirit'],
-            'ence': ['ence esports']
+    async _getHistoryEntries(fcmToken) {
+        const cutoff = Date.now() - this.HISTORY_MAX_AGE;
+        return (await storage.lRange(`${this.HISTORY_KEY}:${fcmToken}`, 0, -1))
+            .map(json => JSON.parse(json))
+            .filter(entry => Date.parse(entry.sentAt) > cutoff);
+    }
+
+    /**
+     * Get a token's notification history, newest first
+     * @param {string} fcmToken - Device token
+     * @param {Object} options - { limit, page }
+     * @returns {Promise<Object>} { notifications, total, unread, page, hasMore }
+     */
+    async getHistory(fcmToken, { limit = 20, page = 1 } = {}) {
+        const entries = await this._getHistoryEntries(fcmToken);
+        const readIds = new Set(await storage.sMembers(`${this.HISTORY_READ_KEY}:${fcmToken}`));
+
+        const notifications = entries.map(entry => ({ ...entry, read: readIds.has(entry.id) }));
+        const start = (page - 1) * limit;
+
+        return {
+            notifications: notifications.slice(start, start + limit),
+            total: notifications.length,
+            unread: notifications.filter(entry => !entry.read).length,
+            page,
+            hasMore: start + limit < notifications.length
         };
+    }
+
+    /**
+     * Mark notifications as read
+     * @param {string} fcmToken - Device token
+     * @param {string[]|null} ids - Notification ids, or null for all
+     * @returns {Promise<number>} Remaining unread count
+     */
+    async markHistoryRead(fcmToken, ids = null) {
+        const readKey = `${this.HISTORY_READ_KEY}:${fcmToken}`;
+        // Expired entries are left out like in getHistory, so the unread counts agree
+        const entries = await this._getHistoryEntries(fcmToken);
+        const currentIds = new Set(entries.map(entry => entry.id));
+
+        for (const id of ids || currentIds) {
+            if (currentIds.has(id)) {
+                await storage.sAdd(readKey, id);
+            }
+        }
+
+        // Drop read markers of notifications that fell out of the history
+        const readIds = await storage.sMembers(readKey);
+        for (const id of readIds) {
+            if (!currentIds.has(id)) {
+                await storage.sRem(readKey, id);
+            }
+        }
+
+        return entries.filter(entry => !readIds.includes(entry.id)).length;
+    }
+
+    async clearHistory(fcmToken) {
+        await storage.del(`${this.HISTORY_KEY}:${fcmToken}`);
+        await storage.del(`${this.HISTORY_READ_KEY}:${fcmToken}`);
+    }
 
-        // Check if either name is an alias of the other
-        for (const [key, aliasList] of Object.entries(aliases)) {
-            if (favLower === key || aliasList.includes(favLower)) {
-                if (teamLower === key || aliasList.includes(teamLower)) {
-                    return true;
+    /**
+     * Hold a notification until the user's quiet hours end
+     * Only the latest notification per match is kept (e.g. the final result replaces score updates)
+     */
+    async deferNotification(token, matchId, notification) {
+        await storage.hSet(
+            `${this.DEFERRED_KEY}:${token}`,
+            matchId.toString(),
+            JSON.stringify({ ...notification, deferredAt: new Date().toISOString() })
+        );
+        await storage.sAdd(this.DEFERRED_TOKENS_KEY, token);
+    }
+
+    /**
+     * Deliver deferred notifications for users whose quiet hours have ended
+     */
+    async flushDeferredNotifications() {
+        if (!this.pushEnabled) {
+            return; // Skip if no notification transport is configured
+        }
+
+        try {
+            const tokens = await storage.sMembers(this.DEFERRED_TOKENS_KEY);
+            const now = new Date();
+
+            for (const token of tokens) {
+                const userData = await this.getUserData(token);
+                if (userData && this.isQuietTime(userData.preferences, now)) {
+                    continue;
                 }
+
+                const deferred = await storage.hGetAll(`${this.DEFERRED_KEY}:${token}`);
+                await storage.del(`${this.DEFERRED_KEY}:${token}`);
+                await storage.sRem(this.DEFERRED_TOKENS_KEY, token);
+
+                // Token unregistered in the meantime
+                if (!userData) continue;
+
+                const notifications = Object.entries(deferred)
+                    .map(([matchId, json]) => ({ matchId, ...JSON.parse(json) }))
+                    .sort((a, b) => new Date(a.deferredAt) - new Date(b.deferredAt));
+
+                for (const { matchId, messageType, params, data, deferredAt } of notifications) {
+                    if (!this.wantsNotification(userData.preferences, messageType, data)) continue;
+                    const key = `deferred:${token}:${matchId}:${messageType}:${deferredAt}`;
+                    await this.enqueueDelivery(key, [token], userData.language, messageType, params, data);
+                }
+            }
+        } catch (error) {
+            console.error('❌ Error flushing deferred notifications:', error.message);
+        }
+    }
+
+    /**
+     * List registered tokens, optionally filtered by language and team (id or favorite name)
+     * @returns {Promise<Array>} [{ token, language, favoriteTeams, subscriptions, preferences }]
+     */
+    async listTokens({ language = null, team = null } = {}) {
+        const tokenData = await storage.hGetAll(this.TOKENS_KEY);
+        const teamId = team !== null && /^\d+$/.test(String(team)) ? Number(team) : null;
+
+        return Object.entries(tokenData)
+            .map(([token, dataJson]) => ({ token, ...this.parseUserData(dataJson) }))
+            .filter(entry => !language || entry.language === localeService.normalize(language))
+            .filter(entry => {
+                if (team === null) return true;
+                if (teamId !== null) return entry.subscriptions.teams.includes(teamId);
+                return entry.favoriteTeams.some(fav => this.matchesTeam(fav, team));
+            });
+    }
+
+    /**
+     * Count registered tokens per language and per followed team
+     * @returns {Promise<Object>} { total, byLanguage, byTeam, unresolvedFavorites }
+     */
+    async getTokenStats() {
+        const tokens = await this.listTokens();
+        const stats = { total: tokens.length, byLanguage: {}, byTeam: {}, unresolvedFavorites: {} };
+
+        for (const { language, subscriptions, favoriteTeams } of tokens) {
+            stats.byLanguage[language] = (stats.byLanguage[language] || 0) + 1;
+            for (const teamId of subscriptions.teams) {
+                stats.byTeam[teamId] = (stats.byTeam[teamId] || 0) + 1;
+            }
+            for (const name of favoriteTeams) {
+                stats.unresolvedFavorites[name] = (stats.unresolvedFavorites[name] || 0) + 1;
+            }
+        }
+
+        return stats;
+    }
+
+    /**
+     * Pick the best message for a language from { locale: { title, body } }
+     * Same fallback order as the catalogs (pt-BR -> pt -> en), then the first message given
+     */
+    pickCustomMessage(messages, language) {
+        const normalized = localeService.normalize(language);
+        const chain = [normalized, normalized.split('-')[0], localeService.DEFAULT_LOCALE];
+        const byLocale = Object.fromEntries(
+            Object.entries(messages).map(([locale, message]) => [localeService.normalize(locale), message])
+        );
+        const code = chain.find(candidate => byLocale[candidate]) || Object.keys(byLocale)[0];
+        return byLocale[code];
+    }
+
+    /**
+     * Send a test notification to a single registered token
+     * @returns {Promise<Object|null>} Send result, or null if the token is not registered
+     */
+    async sendTestNotification(fcmToken, { title, body } = {}) {
+        const userData = await this.getUserData(fcmToken);
+        if (!userData) return null;
+
+        return this.sendToTokens(
+            [fcmToken],
+            'test',
+            { title: title || '🔔 Test notification', body: body || 'Notifications are working.' },
+            { type: 'test' },
+            userData.language
+        );
+    }
+
+    /**
+     * Send a custom message to everyone following a team or tournament, in each user's language
+     * Admin broadcasts bypass event preferences and quiet hours
+     * @param {Object} target - { type: 'teams' | 'tournaments', id }
+     * @param {Object} messages - { locale: { title, body } }
+     * @param {Object} data - Extra data payload (string values)
+     * @returns {Promise<Object>} { recipients, successCount, failureCount }
+     */
+    async broadcast({ type, id }, messages, data = {}) {
+        const tokenData = await storage.hGetAll(this.TOKENS_KEY);
+        const tokensByLanguage = {};
+
+        for (const [token, dataJson] of Object.entries(tokenData)) {
+            const userData = this.parseUserData(dataJson);
+            if (!userData.subscriptions[type].includes(id)) continue;
+
+            tokensByLanguage[userData.language] = tokensByLanguage[userData.language] || [];
+            tokensByLanguage[userData.language].push(token);
+        }
+
+        const result = { recipients: 0, successCount: 0, failureCount: 0 };
+        for (const [language, tokens] of Object.entries(tokensByLanguage)) {
+            const message = this.pickCustomMessage(messages, language);
+            const sent = await this.sendToTokens(tokens, 'broadcast', message, { ...data, type: 'broadcast' }, language);
+
+            result.recipients += tokens.length;
+            result.successCount += sent.successCount;
+            result.failureCount += sent.failureCount;
+        }
+
+        console.log(`📣 Broadcast to ${type} ${id}: ${result.successCount}/${result.recipients} delivered`);
+        return result;
+    }
+
+    /**
+     * Send the notification for a match event again, to its followers or to a single token
+     * @param {string} messageType - matchStarting | matchFinished | reminder | scoreUpdate
+     * @param {Object} options - { stage (reminder label), fcmToken }
+     */
+    async replayMatchEvent(match, messageType, { stage = null, fcmToken = null } = {}) {
+        const reminderStage = messageType === 'reminder'
+            ? this.REMINDER_STAGES.find(candidate => candidate.label === stage) || this.REMINDER_STAGES[this.REMINDER_STAGES.length - 1]
+            : null;
+        const { params, data } = this.buildEventNotification(match, messageType, reminderStage);
+
+        if (!fcmToken) {
+            // Replays are new events, not duplicates of the original
+            await this.sendLocalizedNotification(match, messageType, params, data, { eventKey: `replay:${crypto.randomUUID()}` });
+            return { queued: true };
+        }
+
+        const userData = await this.getUserData(fcmToken);
+        if (!userData) {
+            throw Object.assign(new Error('Token not registered'), { statusCode: 404 });
+        }
+        return this.deliver([fcmToken], userData.language, messageType, params, data);
+    }
+
+    /**
+     * Forget the stored status, score and sent reminders of a match
+     * The next poll records the current state again without notifying
+     */
+    async clearMatchState(matchId) {
+        const id = matchId.toString();
+        const cleared = {
+            status: await storage.hDel(this.MATCH_STATUS_KEY, id) > 0,
+            score: await storage.hDel(this.MATCH_SCORES_KEY, id) > 0,
+            reminders: []
+        };
+
+        for (const stage of this.REMINDER_STAGES) {
+            if (await storage.hDel(`${this.MATCH_REMINDER_KEY}:${stage.label}`, id) > 0) {
+                cleared.reminders.push(stage.label);
             }
         }
 
-        return false;
+        console.log(`🧹 Cleared notification state for match ${id}`);
+        return cleared;
+    }
+
+    /**
+     * Check if a team name matches a favorite team (case-insensitive, handles aliases)
+     * @param {string} favorite - Favorite team name
+     * @param {string} teamName - Team name to check
+     */
+    matchesTeam(favorite, teamName) {
+        return teamRegistryService.namesMatch(favorite, teamName);
     }
 }
 
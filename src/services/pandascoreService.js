@@ -1,63 +1,52 @@
-const axios = require('axios');
-const redisClient = require('../config/redis');
+const pandascoreClient = require('../config/pandascoreClient');
+const cacheService = require('./cacheService');
 const notificationService = require('./notificationService');
+const liveFeedService = require('./liveFeedService');
+const teamStatsService = require('./teamStatsService');
+const matchStore = require('./matchStore');
+const matchArchive = require('./matchArchive');
+const leaderService = require('./leaderService');
 
-const API_KEY = process.env.PANDASCORE_API_KEY;
-const BASE_URL = 'https://api.pandascore.co';
-const CACHE_KEY = 'cs2:matches';
+const HISTORY_DAYS = 7; // Finished matches stay in the cache this long, then only in the archive
 
 // Helper function to format dates for API compatibility
 const formatDate = (d) => d.toISOString().split('.')[0] + 'Z';
 
 class PandaScoreService {
     constructor() {
-        this.localCache = [];
-        this.lastFetch = null;
+        this.updateQueue = Promise.resolve(); // Cache updates run one at a time
     }
 
-    async _updateCache(newMatches) {
-        try {
-            // Get existing matches from Redis to preserve history
-            let existingMatches = [];
-            try {
-                const cachedData = await redisClient.get(CACHE_KEY);
-                if (cachedData && cachedData.matches) {
-                    existingMatches = cachedData.matches;
-                }
-            } catch (e) {
-                console.log('⚠️ Could not read existing cache for merging:', e.message);
-            }
-
-            // Merge: Create a map from existing matches, then overwrite with new fetched matches
-            const matchMap = new Map(existingMatches.map(m => [m.id, m]));
-
-            // Update with new data
-            newMatches.forEach(m => {
-                matchMap.set(m.id, m);
-            });
-
-            // Convert back to array and sort by date
-            const uniqueMatches = Array.from(matchMap.values()).sort((a, b) => {
-                return new Date(a.begin_at) - new Date(b.begin_at);
-            });
+    /**
+     * Merge fetched matches into the cache
+     * Updates are queued so overlapping cron runs can't interleave their reads and writes
+     * @param {Array} newMatches - Matches returned by PandaScore
+     * @param {number[]} removedIds - Match ids to drop from the cache (recorded as tombstones for delta sync)
+     */
+    _updateCache(newMatches, removedIds = []) {
+        const run = this.updateQueue.then(() => this._mergeIntoCache(newMatches, removedIds));
+        this.updateQueue = run.catch(() => {});
+        return run;
+    }
 
-            // Update local cache
-            this.localCache = uniqueMatches;
-            this.lastFetch = new Date().toISOString();
+    async _mergeIntoCache(newMatches, removedIds) {
+        try {
+            const { count } = await matchStore.getMeta();
+            const { previous, changed, removed } = await matchStore.update(newMatches, removedIds);
 
-            // Update Redis cache
-            const cacheData = {
-                matches: uniqueMatches,
-                lastUpdate: this.lastFetch,
-                count: uniqueMatches.length
-            };
+            // Diff against the previous state for the live feed (skipped on cold start to avoid a flood)
+            const liveEvents = count > 0 ? liveFeedService.diffMatches(previous, newMatches) : [];
+            liveFeedService.publish(liveEvents);
 
-            // Update Redis cache (7 days TTL)
-            await redisClient.set(CACHE_KEY, cacheData, 60 * 60 * 24 * 7);
+            await teamStatsService.recordMatches(newMatches);
+            await matchArchive.store(changed);
 
-            await notificationService.processMatchUpdates(uniqueMatches);
+            // Fetched matches for status and score changes, plus every upcoming match for reminders
+            const upcoming = await matchStore.query({ statuses: ['not_started'] });
+            const toProcess = new Map([...upcoming, ...newMatches].map(match => [match.id, match]));
+            await notificationService.processMatchUpdates([...toProcess.values()]);
 
-            return cacheData;
+            return { changed: changed.length, removed: removed.length };
         } catch (error) {
             console.error('❌ Error updating cache:', error.message);
             return null;
@@ -81,11 +70,7 @@ class PandaScoreService {
             const startIso = formatDate(start);
             const endIso = formatDate(end);
 
-            const response = await axios.get(`${BASE_URL}/csgo/matches`, {
-                headers: {
-                    'Authorization': `Bearer ${API_KEY}`,
-                    'Accept': 'application/json'
-                },
+            const data = await pandascoreClient.get('/csgo/matches', {
                 params: {
                     'sort': 'begin_at',
                     'filter[status]': 'running,not_started,finished',
@@ -95,7 +80,7 @@ class PandaScoreService {
                 timeout: 5000
             });
 
-            const matches = response.data || [];
+            const matches = data || [];
 
             // List endpoint already includes streams and official_stream_url
             const runningMatches = matches.filter(m => m.status === 'running');
@@ -128,18 +113,14 @@ class PandaScoreService {
             futureDate.setFullYear(futureDate.getFullYear() + 1);
             const futureIso = formatDate(futureDate);
 
-            // Filter out matches older than 7 days
+            // Filter out matches older than the cache window
             const cutoffDate = new Date();
-            cutoffDate.setDate(cutoffDate.getDate() - 7);
+            cutoffDate.setDate(cutoffDate.getDate() - HISTORY_DAYS);
             const cutoffIso = formatDate(cutoffDate);
 
             // 1. Fetch Future Matches (Now -> Future)
             for (let page = 1; page <= 2; page++) {
-                const response = await axios.get(`${BASE_URL}/csgo/matches`, {
-                    headers: {
-                        'Authorization': `Bearer ${API_KEY}`,
-                        'Accept': 'application/json'
-                    },
+                const data = await pandascoreClient.get('/csgo/matches', {
                     params: {
                         'sort': 'begin_at',
                         'filter[status]': 'running,not_started,finished',
@@ -150,18 +131,14 @@ class PandaScoreService {
                     timeout: 10000
                 });
 
-                if (response.data.length === 0) break;
-                futureMatches = [...futureMatches, ...response.data];
+                if (data.length === 0) break;
+                futureMatches = [...futureMatches, ...data];
             }
             console.log(`🔮 Fetched ${futureMatches.length} future matches`);
 
             // 2. Fetch Past Matches (Now -> Past)
             for (let page = 1; page <= 2; page++) {
-                const response = await axios.get(`${BASE_URL}/csgo/matches`, {
-                    headers: {
-                        'Authorization': `Bearer ${API_KEY}`,
-                        'Accept': 'application/json'
-                    },
+                const data = await pandascoreClient.get('/csgo/matches', {
                     params: {
                         'sort': '-begin_at',
                         'filter[status]': 'running,not_started,finished',
@@ -172,25 +149,21 @@ class PandaScoreService {
                     timeout: 10000
                 });
 
-                if (response.data.length === 0) break;
-                pastMatches = [...pastMatches, ...response.data];
+                if (data.length === 0) break;
+                pastMatches = [...pastMatches, ...data];
             }
             console.log(`📜 Fetched ${pastMatches.length} past matches`);
 
             // 3. Fetch ALL Running (LIVE) Matches with detailed stream info
             let runningMatches = [];
             try {
-                const response = await axios.get(`${BASE_URL}/csgo/matches/running`, {
-                    headers: {
-                        'Authorization': `Bearer ${API_KEY}`,
-                        'Accept': 'application/json'
-                    },
+                const data = await pandascoreClient.get('/csgo/matches/running', {
                     params: {
                         'per_page': 100
                     },
                     timeout: 10000
                 });
-                runningMatches = response.data || [];
+                runningMatches = data || [];
                 console.log(`🔴 Fetched ${runningMatches.length} LIVE (running) matches (stream data included)`);
             } catch (error) {
                 console.log('⚠️ Error fetching running matches:', error.message);
@@ -210,81 +183,168 @@ class PandaScoreService {
         }
     }
 
-    async getMatches() {
-        // Try Redis first
-        const cached = await redisClient.get(CACHE_KEY);
-        if (cached) {
-            console.log('📦 Serving from Redis cache');
-            return cached;
+    /**
+     * Archive the cache's finished matches and remove matches that began before the cache window
+     * (startup and daily cron). Removals are recorded as tombstones for delta sync;
+     * running matches are kept however long ago they began.
+     */
+    async pruneCache() {
+        try {
+            // New results are archived as they arrive; this also covers matches cached before that
+            await matchArchive.store(await matchStore.query({ statuses: ['finished'] }));
+
+            const cutoff = Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000;
+            const expired = (await matchStore.query({ to: cutoff })).filter(match => match.status !== 'running');
+            if (expired.length === 0) return;
+
+            await this._updateCache([], expired.map(match => match.id));
+            console.log(`🧹 Moved ${expired.length} matches older than ${HISTORY_DAYS} days out of the cache`);
+        } catch (error) {
+            console.error('❌ Error pruning the matches cache:', error.message);
         }
+    }
 
-        // Fallback to local cache
-        if (this.localCache.length > 0) {
-            console.log('💾 Serving from local cache');
-            return {
-                matches: this.localCache,
-                lastUpdate: this.lastFetch,
-                count: this.localCache.length
-            };
+    /**
+     * Cache state, running the initial fetch when the cache is empty
+     * Only the leader fetches; other instances wait for it to fill the shared cache
+     * @returns {Promise<Object|null>} { lastUpdate, syncSince, count } or null when nothing could be fetched
+     */
+    async getCacheInfo() {
+        const meta = await matchStore.getMeta();
+        if (meta.count > 0) {
+            return meta;
+        }
+        if (!leaderService.isLeader) {
+            return null;
         }
 
-        // No cache, fetch fresh
         console.log('🆕 No cache available, fetching fresh data');
-        return await this.fetchMatches();
+        if (!await this.fetchMatches()) {
+            return null;
+        }
+        return matchStore.getMeta();
     }
 
-    async searchTeams(query) {
+    /**
+     * Cached matches sorted by begin time
+     * @param {Object} filters - Optional { statuses, teamIds, from, to } answered from the cache indexes
+     * @returns {Promise<Object|null>} { matches, lastUpdate, count }
+     */
+    async getMatches(filters = {}) {
+        const info = await this.getCacheInfo();
+        if (!info) {
+            return null;
+        }
+
+        const matches = await matchStore.query(filters);
+        return { matches, lastUpdate: info.lastUpdate, count: matches.length };
+    }
+
+    /**
+     * Get matches changed or removed after a point in time (delta sync)
+     * @param {number} since - Epoch milliseconds, usually the lastUpdate of the client's previous sync
+     * @returns {Promise<Object|null>} { matches, removed, lastUpdate, fullSync }
+     */
+    async getMatchChanges(since) {
+        const info = await this.getCacheInfo();
+        if (!info) {
+            return null;
+        }
+
+        // Changes before tracking started or tombstones that already expired are unknown:
+        // the client has to replace its local store with the full list
+        const horizon = Math.max(Date.parse(info.syncSince || info.lastUpdate), Date.now() - matchStore.TOMBSTONE_TTL);
+        if (!(since >= horizon)) {
+            return { matches: await matchStore.query(), removed: [], lastUpdate: info.lastUpdate, fullSync: true };
+        }
+
+        const { matches, removed } = await matchStore.getChangesSince(since);
+        return { matches, removed, lastUpdate: info.lastUpdate, fullSync: false };
+    }
+
+    /**
+     * Get a single match by id from the cache
+     * Falls back to a targeted list endpoint lookup (filter[id]) since the
+     * detail endpoint requires premium API access
+     * @param {number} matchId - PandaScore match id
+     * @returns {Promise<Object|null>} Match object or null if unknown
+     */
+    async getMatch(matchId) {
+        const id = Number(matchId);
+
+        const cachedMatch = await matchStore.get(id) || await matchArchive.get(id);
+        if (cachedMatch) {
+            return cachedMatch;
+        }
+
         try {
-            const response = await axios.get(`${BASE_URL}/csgo/teams`, {
-                headers: {
-                    'Authorization': `Bearer ${API_KEY}`,
-                    'Accept': 'application/json'
-                },
+            console.log(`🔍 Match ${id} not cached, looking it up on PandaScore`);
+            const data = await pandascoreClient.get('/csgo/matches', {
                 params: {
-                    'search[name]': query,
-                    'per_page': 20
+                    'filter[id]': id
                 },
                 timeout: 5000
             });
 
-            return response.data;
+            return (data || []).find(m => m.id === id) || null;
+        } catch (error) {
+            console.error('❌ Error fetching match:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Search teams by name (cached, stale-while-revalidate)
+     * @returns {Promise<{ value: Array, cache: string, age: number }>}
+     */
+    async searchTeams(query) {
+        const normalized = String(query).trim().toLowerCase();
+
+        try {
+            return await cacheService.fetch(`cs2:teams:search:${normalized}`, cacheService.TTL.teamSearch, () =>
+                pandascoreClient.get('/csgo/teams', {
+                    params: {
+                        'search[name]': normalized,
+                        'per_page': 20
+                    },
+                    timeout: 5000
+                })
+            );
         } catch (error) {
             console.error('❌ Error searching teams:', error.message);
             throw error;
         }
     }
 
+    /**
+     * @returns {Promise<{ value: Object, cache: string, age: number }>}
+     */
     async getTeamDetails(teamId) {
         try {
-            const response = await axios.get(`${BASE_URL}/csgo/teams/${teamId}`, {
-                headers: {
-                    'Authorization': `Bearer ${API_KEY}`,
-                    'Accept': 'application/json'
-                },
-                timeout: 5000
-            });
-
-            return response.data;
+            return await cacheService.fetch(`cs2:team:${teamId}`, cacheService.TTL.teamDetails, () =>
+                pandascoreClient.get(`/csgo/teams/${teamId}`, {
+                    timeout: 5000
+                })
+            );
         } catch (error) {
             console.error('❌ Error fetching team details:', error.message);
             throw error;
         }
     }
 
+    /**
+     * @returns {Promise<{ value: Array, cache: string, age: number }>}
+     */
     async getTeamPlayers(teamId) {
         try {
-            const response = await axios.get(`${BASE_URL}/teams/${teamId}/players`, {
-                headers: {
-                    'Authorization': `Bearer ${API_KEY}`,
-                    'Accept': 'application/json'
-                },
-                params: {
-                    'filter[active]': true
-                },
-                timeout: 5000
-            });
-
-            return response.data;
+            return await cacheService.fetch(`cs2:team:${teamId}:players`, cacheService.TTL.teamPlayers, () =>
+                pandascoreClient.get(`/teams/${teamId}/players`, {
+                    params: {
+                        'filter[active]': true
+                    },
+                    timeout: 5000
+                })
+            );
         } catch (error) {
             console.error('❌ Error fetching team players:', error.message);
             throw error;
@@ -0,0 +1,174 @@
+const storage = require('../storage');
+const pandascoreClient = require('../config/pandascoreClient');
+const teamsService = require('./teamsService');
+
+// Built-in alias groups, used when neither the registry nor the team list knows a name
+const DEFAULT_ALIASES = {
+    'navi': ['natus vincere', 'na\'vi'],
+    'faze': ['faze clan'],
+    'nip': ['ninjas in pyjamas'],
+    'g2': ['g2 esports'],
+    'vitality': ['team vitality'],
+    'mouz': ['mousesports'],
+    'liquid': ['team liquid'],
+    'big': ['big clan'],
+    'spirit': ['team spirit'],
+    'ence': ['ence esports']
+};
+
+/**
+ * Normalize a team name for comparisons: "Na'Vi" -> "navi", "Team Liquid" -> "teamliquid"
+ */
+const normalizeName = (name) => String(name || '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+
+/**
+ * Resolves team names to PandaScore team ids
+ * Lookup order: alias registry -> team list (name, acronym, slug) -> built-in aliases -> PandaScore search
+ */
+class TeamRegistryService {
+    constructor() {
+        this.ALIASES_KEY = 'teams:aliases'; // Hash: { normalized alias: teamId }
+    }
+
+    normalizeName(name) {
+        return normalizeName(name);
+    }
+
+    /**
+     * @returns {Promise<Object>} Registry entries { alias: teamId }
+     */
+    async getAliases() {
+        const aliases = await storage.hGetAll(this.ALIASES_KEY);
+        return Object.fromEntries(Object.entries(aliases).map(([alias, teamId]) => [alias, Number(teamId)]));
+    }
+
+    /**
+     * Point an alias (old name, nickname, acronym) at a team id
+     * @returns {Promise<string>} The normalized alias
+     */
+    async setAlias(alias, teamId) {
+        const normalized = normalizeName(alias);
+        await storage.hSet(this.ALIASES_KEY, normalized, String(teamId));
+        console.log(`🏷️ Alias "${normalized}" -> team ${teamId}`);
+        return normalized;
+    }
+
+    /**
+     * @returns {Promise<boolean>} true if the alias existed
+     */
+    async removeAlias(alias) {
+        const removed = await storage.hDel(this.ALIASES_KEY, normalizeName(alias));
+        return removed > 0;
+    }
+
+    _findInList(teams, normalized) {
+        return teams.find(team =>
+            normalizeName(team.name) === normalized ||
+            normalizeName(team.acronym) === normalized ||
+            normalizeName(team.slug) === normalized
+        );
+    }
+
+    /**
+     * Resolve a team name (or id) to a PandaScore team
+     * @param {string|number} name - Team name, acronym or alias, or a numeric id
+     *   (strings are always names: teams like "100" or "9" are not ids)
+     * @param {Object} options - { search: false } skips the PandaScore search (bulk resolution)
+     * @returns {Promise<Object|null>} { id, name, acronym } or null if unknown
+     */
+    async resolveTeam(name, { search = true } = {}) {
+        if (Number.isInteger(name)) {
+            return { id: Number(name), name: null, acronym: null };
+        }
+
+        const normalized = normalizeName(name);
+        if (!normalized) return null;
+
+        const aliasId = await storage.hGet(this.ALIASES_KEY, normalized);
+        if (aliasId) {
+            return { id: Number(aliasId), name: null, acronym: null };
+        }
+
+        let teams = [];
+        try {
+            teams = await teamsService.getAllTeams();
+        } catch (error) {
+            console.log('⚠️ Team list unavailable for name resolution:', error.message);
+        }
+
+        const candidates = [normalized];
+        for (const [key, aliasList] of Object.entries(DEFAULT_ALIASES)) {
+            const group = [key, ...aliasList].map(normalizeName);
+            if (group.includes(normalized)) {
+                candidates.push(...group.filter(alias => alias !== normalized));
+            }
+        }
+
+        for (const candidate of candidates) {
+            const team = this._findInList(teams, candidate);
+            if (team) {
+                return { id: team.id, name: team.name, acronym: team.acronym };
+            }
+        }
+
+        if (!search) return null;
+
+        // Not in the cached list (older or less active teams): exact matches from a search only
+        try {
+            const results = await pandascoreClient.get('/csgo/teams', {
+                params: { 'search[name]': name, 'per_page': 20 },
+                timeout: 5000
+            });
+            const team = this._findInList(results || [], normalized);
+            if (team) {
+                return { id: team.id, name: team.name, acronym: team.acronym };
+            }
+        } catch (error) {
+            console.log(`⚠️ Could not search PandaScore for team "${name}":`, error.message);
+        }
+
+        return null;
+    }
+
+    /**
+     * Resolve a list of favorite team names
+     * @param {Object} options - Passed to resolveTeam
+     * @returns {Promise<{ resolved: Array<{ name, id }>, unresolved: string[] }>}
+     */
+    async resolveTeams(names = [], options = {}) {
+        const resolved = [];
+        const unresolved = [];
+
+        for (const name of names) {
+            const team = await this.resolveTeam(name, options);
+            if (team) {
+                resolved.push({ name, id: team.id });
+            } else {
+                unresolved.push(name);
+            }
+        }
+
+        return { resolved, unresolved };
+    }
+
+    /**
+     * Check if two team names refer to the same team using the built-in aliases
+     * Fallback for favorites that could not be resolved to an id
+     */
+    namesMatch(favorite, teamName) {
+        const favNormalized = normalizeName(favorite);
+        const teamNormalized = normalizeName(teamName);
+        if (!favNormalized || !teamNormalized) return false;
+
+        // Direct match
+        if (favNormalized === teamNormalized) return true;
+
+        // Check if either name is an alias of the other
+        return Object.entries(DEFAULT_ALIASES).some(([key, aliasList]) => {
+            const group = [key, ...aliasList].map(normalizeName);
+            return group.includes(favNormalized) && group.includes(teamNormalized);
+        });
+    }
+}
+
+module.exports = new TeamRegistryService();
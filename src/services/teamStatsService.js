@@ -0,0 +1,287 @@
+const storage = require('../storage');
+const pandascoreClient = require('../config/pandascoreClient');
+const cacheService = require('./cacheService');
+const matchArchive = require('./matchArchive');
+
+const MAX_LAST = 100;
+const FORM_LENGTH = 5;
+
+/**
+ * Per-team results and statistics built from finished matches
+ * Every finished match is recorded once per team; a team's summary is recomputed
+ * when one of its matches is recorded or corrected, so reads don't redo the work
+ */
+class TeamStatsService {
+    constructor() {
+        this.HISTORY_KEY = 'team:history'; // Hash per team (team:history:<teamId>): { matchId: JSON(result) }
+        this.SUMMARY_KEY = 'team:stats'; // Hash: { teamId: JSON(all-time summary) }
+        this.HISTORY_LIMIT = 200; // Results kept per team (the all-time summary covers only these)
+        this.MAX_LAST = MAX_LAST;
+    }
+
+    /**
+     * Result of a finished match from one team's perspective
+     */
+    toResult(match, teamId) {
+        const opponent = (match.opponents || []).map(o => o.opponent).find(team => team && team.id !== teamId) || null;
+        const scoreOf = (id) => (match.results || []).find(r => r.team_id === id)?.score ?? 0;
+        const winnerId = match.winner_id ?? match.winner?.id ?? null;
+
+        let result = 'draw';
+        if (winnerId !== null) result = winnerId === teamId ? 'win' : 'loss';
+
+        // Map names are only present on some plans; games without one are skipped
+        const maps = (match.games || [])
+            .filter(game => game.status === 'finished' && game.map?.name && game.winner?.id)
+            .map(game => ({ name: game.map.name, result: game.winner.id === teamId ? 'win' : 'loss' }));
+
+        return {
+            matchId: match.id,
+            beginAt: match.begin_at || match.scheduled_at,
+            opponent: opponent && {
+                id: opponent.id,
+                name: opponent.name,
+                acronym: opponent.acronym || null,
+                image_url: opponent.image_url || null
+            },
+            score: [scoreOf(teamId), opponent ? scoreOf(opponent.id) : 0],
+            result,
+            forfeit: Boolean(match.forfeit),
+            tournament: {
+                id: match.tournament_id,
+                name: match.tournament?.name || null,
+                league: match.league?.name || null,
+                tier: match.tournament?.tier || null
+            },
+            maps
+        };
+    }
+
+    /**
+     * Record finished matches; called with every batch merged into the match cache
+     * Only teams with new or corrected results get their summary recomputed
+     */
+    async recordMatches(matches) {
+        try {
+            const changedTeams = new Set();
+
+            for (const match of matches) {
+                if (match.status !== 'finished') continue;
+
+                for (const { opponent } of match.opponents || []) {
+                    if (!opponent) continue;
+
+                    const key = `${this.HISTORY_KEY}:${opponent.id}`;
+                    const result = JSON.stringify(this.toResult(match, opponent.id));
+                    if (await storage.hGet(key, match.id.toString()) === result) continue;
+
+                    await storage.hSet(key, match.id.toString(), result);
+                    changedTeams.add(opponent.id);
+                }
+            }
+
+            for (const teamId of changedTeams) {
+                await this._refreshSummary(teamId);
+            }
+
+            if (changedTeams.size > 0) {
+                console.log(`📈 Updated stats for ${changedTeams.size} teams`);
+            }
+        } catch (error) {
+            console.error('❌ Error recording team results:', error.message);
+        }
+    }
+
+    /**
+     * @returns {Promise<Array>} A team's results, newest first
+     */
+    async _getHistory(teamId) {
+        const entries = await storage.hGetAll(`${this.HISTORY_KEY}:${teamId}`);
+        return Object.values(entries)
+            .map(json => JSON.parse(json))
+            .sort((a, b) => Date.parse(b.beginAt) - Date.parse(a.beginAt) || b.matchId - a.matchId);
+    }
+
+    async _refreshSummary(teamId) {
+        const history = await this._getHistory(teamId);
+
+        // Drop the oldest results beyond the limit
+        for (const old of history.slice(this.HISTORY_LIMIT)) {
+            await storage.hDel(`${this.HISTORY_KEY}:${teamId}`, old.matchId.toString());
+        }
+
+        const summary = this.summarize(history.slice(0, this.HISTORY_LIMIT));
+        await storage.hSet(this.SUMMARY_KEY, teamId.toString(), JSON.stringify({ ...summary, updatedAt: new Date().toISOString() }));
+    }
+
+    /**
+     * Statistics over a list of results (newest first)
+     */
+    summarize(results) {
+        const count = (result) => results.filter(r => r.result === result).length;
+        const wins = count('win');
+        const losses = count('loss');
+        const draws = count('draw');
+
+        // Current streak: consecutive identical results from the most recent one
+        let streak = null;
+        if (results.length > 0) {
+            const type = results[0].result;
+            const length = results.findIndex(r => r.result !== type);
+            streak = { type, count: length === -1 ? results.length : length };
+        }
+
+        const maps = {};
+        for (const { name, result } of results.flatMap(r => r.maps || [])) {
+            maps[name] = maps[name] || { played: 0, wins: 0, losses: 0, winRate: 0 };
+            maps[name].played++;
+            maps[name][result === 'win' ? 'wins' : 'losses']++;
+            maps[name].winRate = Math.round((maps[name].wins / maps[name].played) * 1000) / 10;
+        }
+
+        return {
+            matches: results.length,
+            wins,
+            losses,
+            draws,
+            winRate: results.length > 0 ? Math.round((wins / results.length) * 1000) / 10 : 0,
+            form: results.slice(0, FORM_LENGTH).map(r => ({ win: 'W', loss: 'L', draw: 'D' })[r.result]),
+            streak,
+            maps,
+            lastMatchAt: results[0]?.beginAt || null
+        };
+    }
+
+    /**
+     * Parse a window from query parameters: ?last=N or ?from=...&to=...
+     * @returns {{ window: Object } | { error: string }} window is null when no parameter is given
+     */
+    parseWindow(query = {}) {
+        const { last, from, to } = query;
+
+        if (last !== undefined && (from !== undefined || to !== undefined)) {
+            return { error: 'Use either last or from/to' };
+        }
+
+        if (last !== undefined) {
+            const n = Number(last);
+            if (!Number.isInteger(n) || n < 1 || n > MAX_LAST) {
+                return { error: `last must be an integer between 1 and ${MAX_LAST}` };
+            }
+            return { window: { last: n } };
+        }
+
+        if (from !== undefined || to !== undefined) {
+            const fromTime = from !== undefined ? Date.parse(from) : null;
+            const toTime = to !== undefined ? Date.parse(to) : null;
+            if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+                return { error: 'from and to must be ISO dates' };
+            }
+            return { window: { from: fromTime, to: toTime } };
+        }
+
+        return { window: null };
+    }
+
+    _applyWindow(history, window) {
+        if (!window) return history;
+        if (window.last) return history.slice(0, window.last);
+
+        return history.filter(r => {
+            const time = Date.parse(r.beginAt);
+            return (window.from === null || time >= window.from) && (window.to === null || time <= window.to);
+        });
+    }
+
+    /**
+     * Team statistics: the stored summary, or computed over a window of its results
+     * @param {Object|null} window - { last } or { from, to } (see parseWindow)
+     */
+    async getStats(teamId, window = null) {
+        if (!window) {
+            const stored = await storage.hGet(this.SUMMARY_KEY, teamId.toString());
+            if (stored) return JSON.parse(stored);
+            return this.summarize([]);
+        }
+
+        return this.summarize(this._applyWindow(await this._getHistory(teamId), window));
+    }
+
+    /**
+     * A team's finished matches, newest first
+     * @param {Object|null} window - { last } or { from, to }; defaults to the last 20
+     */
+    async getResults(teamId, window = null) {
+        return this._applyWindow(await this._getHistory(teamId), window || { last: 20 });
+    }
+
+    /**
+     * Past meetings of two teams from PandaScore (one page, fallback when none are stored)
+     */
+    async _fetchMeetings(teamId, otherId) {
+        const matches = await pandascoreClient.get('/csgo/matches/past', {
+            params: {
+                'filter[opponent_id]': `${teamId},${otherId}`,
+                'sort': '-begin_at',
+                'per_page': 100
+            },
+            timeout: 10000
+        });
+
+        // The filter matches either opponent; keep matches between the two
+        return (matches || [])
+            .filter(match => {
+                const ids = (match.opponents || []).map(o => o.opponent?.id);
+                return match.status === 'finished' && ids.includes(teamId) && ids.includes(otherId);
+            })
+            .map(match => this.toResult(match, teamId));
+    }
+
+    /**
+     * Head-to-head record of a team against another, from the first team's perspective
+     * Built from the match archive and recorded results, falling back to PandaScore when
+     * neither has a meeting; cached
+     * @returns {Promise<{ value: Object, cache: string, age: number }>}
+     */
+    async getHeadToHead(teamId, otherId) {
+        return cacheService.fetch(`cs2:h2h:${teamId}:${otherId}`, cacheService.TTL.h2h, async () => {
+            const byMatch = new Map();
+            const add = (results) => results.forEach(r => byMatch.has(r.matchId) || byMatch.set(r.matchId, r));
+
+            add((await matchArchive.getMeetings(teamId, otherId)).map(match => this.toResult(match, teamId)));
+            add((await this._getHistory(teamId)).filter(r => r.opponent?.id === otherId));
+
+            let source = 'archive';
+            if (byMatch.size === 0) {
+                source = 'pandascore';
+                add(await this._fetchMeetings(teamId, otherId));
+            }
+
+            const meetings = [...byMatch.values()]
+                .sort((a, b) => Date.parse(b.beginAt) - Date.parse(a.beginAt) || b.matchId - a.matchId);
+
+            const summary = this.summarize(meetings);
+            // Most recent meeting that had a winner
+            const decided = meetings.find(r => r.result !== 'draw');
+            const lastWinner = decided
+                ? { teamId: decided.result === 'win' ? teamId : otherId, matchId: decided.matchId, beginAt: decided.beginAt }
+                : null;
+
+            return {
+                teamId,
+                otherId,
+                meetings: meetings.map(({ matchId, beginAt, score, result, forfeit, tournament, maps }) => ({
+                    matchId, beginAt, score, result, forfeit, tournament, maps
+                })),
+                count: meetings.length,
+                record: { wins: summary.wins, losses: summary.losses, draws: summary.draws },
+                maps: summary.maps,
+                lastWinner,
+                lastMeetingAt: summary.lastMatchAt,
+                source
+            };
+        });
+    }
+}
+
+module.exports = new TeamStatsService();
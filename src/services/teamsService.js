@@ -1,26 +1,21 @@
-const axios = require('axios');
-
-const PANDASCORE_API_KEY = process.env.PANDASCORE_API_KEY;
-const BASE_URL = 'https://api.pandascore.co/csgo';
+const pandascoreClient = require('../config/pandascoreClient');
+const cacheService = require('./cacheService');
 
 class TeamsService {
-    constructor() {
-        this.teamsCache = null;
-        this.cacheExpiry = null;
-        this.CACHE_DURATION = 1 * 60 * 1000; // Temporarily 1 minute for testing (normally 24 hours)
-    }
-
     /**
      * Get all CS:GO teams with their logos
-     * @returns {Promise<Array>} Array of teams with logos
+     * Cached for 24 hours (cacheService.TTL.teams); stale data is served while refreshing or if PandaScore fails
+     * @returns {Promise<Array>} Array of teams ({ id, name, acronym, slug, logo }; logo may be null)
      */
     async getAllTeams() {
-        // Check cache first
-        if (this.teamsCache && this.cacheExpiry && Date.now() < this.cacheExpiry) {
-            console.log('📦 Returning cached teams data');
-            return this.teamsCache;
+        const { value, cache } = await cacheService.fetch('cs2:teams', cacheService.TTL.teams, () => this._fetchAllTeams());
+        if (cache !== 'MISS') {
+            console.log(`📦 Returning cached teams data (${cache.toLowerCase()})`);
         }
+        return value;
+    }
 
+    async _fetchAllTeams() {
         try {
             console.log('🔍 Fetching teams from PandaScore API...');
 
@@ -30,9 +25,9 @@ class TeamsService {
             const perPage = 100;
 
             while (page <= 5) { // Increased to 5 pages (500 teams) for better coverage
-                const response = await axios.get(`${BASE_URL}/teams`, {
+                // Rate limiting is handled by the shared PandaScore client
+                const data = await pandascoreClient.get('/csgo/teams', {
                     params: {
-                        token: PANDASCORE_API_KEY,
                         per_page: perPage,
                         page: page,
                         sort: '-modified_at' // Reverted to recently updated teams first
@@ -40,43 +35,27 @@ class TeamsService {
                     timeout: 10000
                 });
 
-                if (!response.data || response.data.length === 0) {
+                if (!data || data.length === 0) {
                     break; // No more teams
                 }
 
-                allTeams.push(...response.data);
+                allTeams.push(...data);
                 page++;
-
-                // Add delay between requests to avoid rate limiting
-                await new Promise(resolve => setTimeout(resolve, 500));
             }
 
-            // Extract team names and logos
-            const teamsWithLogos = allTeams
-                .filter(team => team.image_url) // Only teams with logos
-                .map(team => ({
-                    id: team.id,
-                    name: team.name,
-                    acronym: team.acronym,
-                    logo: team.image_url
-                }));
-
-            console.log(`✅ Fetched ${teamsWithLogos.length} teams with logos`);
-
-            // Update cache
-            this.teamsCache = teamsWithLogos;
-            this.cacheExpiry = Date.now() + this.CACHE_DURATION;
-
-            return teamsWithLogos;
+            // Extract team names and logos (teams without logos are kept for name -> id resolution)
+            const teams = allTeams.map(team => ({
+                id: team.id,
+                name: team.name,
+                acronym: team.acronym,
+                slug: team.slug,
+                logo: team.image_url || null
+            }));
+
+            console.log(`✅ Fetched ${teams.length} teams (${teams.filter(team => team.logo).length} with logos)`);
+            return teams;
         } catch (error) {
             console.error('❌ Error fetching teams:', error.message);
-
-            // Return cached data if available, even if expired
-            if (this.teamsCache) {
-                console.log('⚠️ Returning expired cache due to error');
-                return this.teamsCache;
-            }
-
             throw error;
         }
     }
@@ -89,7 +68,7 @@ class TeamsService {
         const teams = await this.getAllTeams();
 
         const logoMap = {};
-        teams.forEach(team => {
+        teams.filter(team => team.logo).forEach(team => {
             logoMap[team.name] = team.logo;
             // Also add by acronym if available
             if (team.acronym) {
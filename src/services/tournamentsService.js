@@ -0,0 +1,215 @@
+const pandascoreClient = require('../config/pandascoreClient');
+const cacheService = require('./cacheService');
+const matchStore = require('./matchStore');
+const { buildBracket, normalizeStandings, deriveStandings } = require('../utils/brackets');
+
+const TOURNAMENT_FILTERS = ['running', 'upcoming', 'past'];
+
+// Cache lifetimes in seconds: running data changes often, the past hardly ever
+const TTL = {
+    leagues: 6 * 60 * 60,
+    series: 60 * 60,
+    tournaments: { all: 30 * 60, running: 5 * 60, upcoming: 30 * 60, past: 6 * 60 * 60 },
+    tournament: 10 * 60,
+    tournamentMatches: { running: 60, upcoming: 10 * 60, past: 6 * 60 * 60 },
+    standings: { running: 2 * 60, upcoming: 30 * 60, past: 6 * 60 * 60 }, // Standings and brackets
+    derivedFallback: 60 // Derived data served while PandaScore fails
+};
+
+/**
+ * Leagues, series and tournaments, cached in Redis (local memory without Redis)
+ */
+class TournamentsService {
+    constructor() {
+        this.FILTERS = TOURNAMENT_FILTERS;
+    }
+
+    async _fetchLeagues() {
+        return pandascoreClient.get('/csgo/leagues', {
+            params: { 'sort': '-modified_at', 'per_page': 100 },
+            timeout: 10000
+        });
+    }
+
+    async _fetchSeries() {
+        return pandascoreClient.get('/csgo/series', {
+            params: { 'sort': '-begin_at', 'per_page': 100 },
+            timeout: 10000
+        });
+    }
+
+    async _fetchTournaments(filter) {
+        const path = filter ? `/csgo/tournaments/${filter}` : '/csgo/tournaments';
+        return pandascoreClient.get(path, {
+            params: { 'sort': filter === 'upcoming' ? 'begin_at' : '-begin_at', 'per_page': 100 },
+            timeout: 10000
+        });
+    }
+
+    async getLeagues() {
+        return cacheService.remember('cs2:leagues', TTL.leagues, () => this._fetchLeagues());
+    }
+
+    async getSeries() {
+        return cacheService.remember('cs2:series', TTL.series, () => this._fetchSeries());
+    }
+
+    /**
+     * @param {string|null} filter - running | upcoming | past, or null for the most recent tournaments
+     */
+    async getTournaments(filter = null) {
+        const key = `cs2:tournaments:${filter || 'all'}`;
+        return cacheService.remember(key, TTL.tournaments[filter || 'all'], () => this._fetchTournaments(filter));
+    }
+
+    /**
+     * Get a tournament by id, from the cached lists when possible
+     * @returns {Promise<Object|null>} Tournament or null if unknown
+     */
+    async getTournament(tournamentId) {
+        const id = Number(tournamentId);
+
+        return cacheService.remember(`cs2:tournament:${id}`, TTL.tournament, async () => {
+            for (const filter of [...TOURNAMENT_FILTERS, null]) {
+                const cached = await cacheService.get(`cs2:tournaments:${filter || 'all'}`);
+                const tournament = cached?.find(t => t.id === id);
+                if (tournament) return tournament;
+            }
+
+            const data = await pandascoreClient.get('/csgo/tournaments', {
+                params: { 'filter[id]': id },
+                timeout: 5000
+            });
+            return (data || []).find(t => t.id === id) || null;
+        });
+    }
+
+    _tournamentState(tournament) {
+        const now = Date.now();
+        if (tournament.end_at && Date.parse(tournament.end_at) < now) return 'past';
+        if (tournament.begin_at && Date.parse(tournament.begin_at) > now) return 'upcoming';
+        return 'running';
+    }
+
+    /**
+     * Matches of a tournament
+     * Served from the cs2:matches cache when it holds every match of the tournament,
+     * otherwise fetched from PandaScore and cached by tournament state
+     * @returns {Promise<Object|null>} { matches, source } or null if the tournament is unknown
+     */
+    async getTournamentMatches(tournamentId) {
+        const id = Number(tournamentId);
+        const tournament = await this.getTournament(id);
+        if (!tournament) return null;
+
+        const sortByBegin = (a, b) => new Date(a.begin_at) - new Date(b.begin_at);
+        const expectedIds = (tournament.matches || []).map(m => m.id);
+
+        // Only the tournament's own matches are read from the cache
+        const cached = await matchStore.getMany(expectedIds);
+        if (expectedIds.length > 0 && cached.size === expectedIds.length) {
+            return { matches: [...cached.values()].sort(sortByBegin), source: 'cache' };
+        }
+
+        const state = this._tournamentState(tournament);
+        const matches = await cacheService.remember(`cs2:tournament:${id}:matches`, TTL.tournamentMatches[state], () =>
+            pandascoreClient.get('/csgo/matches', {
+                params: { 'filter[tournament_id]': id, 'sort': 'begin_at', 'per_page': 100 },
+                timeout: 10000
+            })
+        );
+
+        return { matches: [...(matches || [])].sort(sortByBegin), source: 'pandascore' };
+    }
+
+    /**
+     * Cached PandaScore data, or data derived from the tournament's matches when PandaScore has none
+     * When PandaScore fails the previous value is served stale; without one the derived data is
+     * only cached briefly, so the next request asks PandaScore again
+     * @param {Function} fetchUpstream - Async, returns the value or null when PandaScore has no data
+     * @param {Function} derive - Async, builds the value from the tournament's matches
+     */
+    async _rememberOrDerive(key, ttl, label, fetchUpstream, derive) {
+        try {
+            return await cacheService.remember(key, ttl, async () => (await fetchUpstream()) || derive());
+        } catch (error) {
+            console.log(`⚠️ No ${label} from PandaScore:`, error.message);
+            const fallback = await derive();
+            await cacheService.set(key, fallback, TTL.derivedFallback, 0);
+            return fallback;
+        }
+    }
+
+    /**
+     * Group or bracket standings of a tournament
+     * Falls back to a table derived from the tournament's matches when PandaScore has none
+     * @returns {Promise<Object|null>} { standings, source } or null if the tournament is unknown
+     */
+    async getStandings(tournamentId) {
+        const id = Number(tournamentId);
+        const tournament = await this.getTournament(id);
+        if (!tournament) return null;
+
+        const ttl = TTL.standings[this._tournamentState(tournament)];
+        return this._rememberOrDerive(`cs2:tournament:${id}:standings`, ttl, `standings for tournament ${id}`,
+            async () => {
+                const standings = await pandascoreClient.get(`/tournaments/${id}/standings`, { timeout: 10000 });
+                return standings && standings.length > 0
+                    ? { standings: normalizeStandings(standings), source: 'pandascore' }
+                    : null;
+            },
+            async () => {
+                const { matches } = await this.getTournamentMatches(id);
+                return { standings: deriveStandings(matches), source: 'derived' };
+            }
+        );
+    }
+
+    /**
+     * Bracket of a tournament, normalized for single elimination, double elimination and Swiss
+     * Uses PandaScore's bracket (with match links) when available, otherwise the tournament's matches
+     * @param {string|null} format - Bracket format, detected when omitted
+     * @returns {Promise<Object|null>} { format, links, rounds, source } or null if the tournament is unknown
+     */
+    async getBracket(tournamentId, format = null) {
+        const id = Number(tournamentId);
+        const tournament = await this.getTournament(id);
+        if (!tournament) return null;
+
+        const ttl = TTL.standings[this._tournamentState(tournament)];
+        const options = { format, tournamentName: tournament.name };
+        return this._rememberOrDerive(`cs2:tournament:${id}:bracket:${format || 'auto'}`, ttl, `bracket for tournament ${id}`,
+            async () => {
+                const bracketMatches = await pandascoreClient.get(`/tournaments/${id}/brackets`, { timeout: 10000 });
+                return bracketMatches && bracketMatches.length > 0
+                    ? { ...buildBracket(bracketMatches, options), source: 'pandascore' }
+                    : null;
+            },
+            async () => {
+                const { matches } = await this.getTournamentMatches(id);
+                return { ...buildBracket(matches, options), source: 'derived' };
+            }
+        );
+    }
+
+    /**
+     * Refresh the cached lists (cron)
+     */
+    async refresh() {
+        try {
+            console.log('🏆 Refreshing leagues, series and tournaments...');
+            await cacheService.set('cs2:leagues', await this._fetchLeagues(), TTL.leagues);
+            await cacheService.set('cs2:series', await this._fetchSeries(), TTL.series);
+
+            for (const filter of [...TOURNAMENT_FILTERS, null]) {
+                const tournaments = await this._fetchTournaments(filter);
+                await cacheService.set(`cs2:tournaments:${filter || 'all'}`, tournaments, TTL.tournaments[filter || 'all']);
+            }
+            console.log('✅ Leagues, series and tournaments refreshed');
+        } catch (error) {
+            console.error('❌ Error refreshing tournaments:', error.message);
+        }
+    }
+}
+
+module.exports = new TournamentsService();
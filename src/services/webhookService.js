@@ -0,0 +1,345 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const storage = require('../storage');
+const localeService = require('./localeService');
+const liveFeedService = require('./liveFeedService');
+const notificationQueue = require('./notificationQueue');
+
+// Match events webhooks can subscribe to
+const WEBHOOK_EVENTS = ['matchStarting', 'scoreUpdate', 'matchFinished'];
+const FORMATS = ['json', 'discord', 'slack'];
+const FILTER_TYPES = {
+    matches: (match) => [match.id],
+    teams: (match) => (match.opponents || []).map(o => o.opponent?.id),
+    tournaments: (match) => [match.tournament_id]
+};
+
+// Embed / attachment colors per event
+const EVENT_COLORS = { matchStarting: 0xe53935, scoreUpdate: 0xfb8c00, matchFinished: 0x43a047 };
+
+// Addresses webhooks may not point at: private, loopback, link-local, shared, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+const isBlockedAddress = (address) => {
+    // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as IPv4
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+    return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Posts match events to external URLs (Discord, Slack or any JSON endpoint)
+ * Every request is signed: X-Webhook-Signature = sha256=HMAC(secret, "<timestamp>.<body>")
+ * Deliveries go through the notification queue, which retries them and keeps the ones that keep failing
+ */
+class WebhookService {
+    constructor() {
+        this.WEBHOOKS_KEY = 'webhooks'; // Hash: { webhookId: JSON(webhook) }
+        this.DELIVERIES_KEY = 'webhooks:deliveries'; // List per webhook (webhooks:deliveries:<id>): JSON(delivery), newest first
+        this.DELIVERY_LOG_LIMIT = 50;
+        this.TIMEOUT = 5000;
+        this.JOB_CHANNEL = 'webhook'; // Channel of webhook jobs in the notification queue
+
+        this.EVENTS = WEBHOOK_EVENTS;
+        this.FORMATS = FORMATS;
+        this.FILTER_TYPES = Object.keys(FILTER_TYPES);
+    }
+
+    /**
+     * Validate a webhook definition
+     * @returns {Object} { webhook } or { error }
+     */
+    normalizeWebhook({ url, format = 'json', filter, events = WEBHOOK_EVENTS, language = 'en', secret } = {}) {
+        let parsedUrl;
+        try {
+            parsedUrl = new URL(url);
+        } catch (error) {
+            return { error: 'url must be a valid URL' };
+        }
+        if (!['https:', 'http:'].includes(parsedUrl.protocol)) {
+            return { error: 'url must use http or https' };
+        }
+
+        if (!FORMATS.includes(format)) {
+            return { error: `format must be one of: ${FORMATS.join(', ')}` };
+        }
+
+        const filterId = Number(filter?.id);
+        if (!FILTER_TYPES[filter?.type] || !Number.isInteger(filterId)) {
+            return { error: `filter must be { type: ${this.FILTER_TYPES.join(' | ')}, id }` };
+        }
+
+        if (!Array.isArray(events) || events.length === 0 || !events.every(event => WEBHOOK_EVENTS.includes(event))) {
+            return { error: `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}` };
+        }
+
+        if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+            return { error: 'secret must be a string of at least 16 characters' };
+        }
+
+        return {
+            webhook: {
+                url: parsedUrl.toString(),
+                format,
+                filter: { type: filter.type, id: filterId },
+                events: [...new Set(events)],
+                language: localeService.normalize(language),
+                secret: secret || crypto.randomBytes(32).toString('hex')
+            }
+        };
+    }
+
+    /**
+     * Check that a URL's host only resolves to public addresses (no requests into the internal network)
+     * @returns {Promise<string|null>} Error message, or null if the host is allowed
+     */
+    async checkHost(url) {
+        const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+        let addresses;
+        try {
+            addresses = await dns.lookup(hostname, { all: true, verbatim: true });
+        } catch (error) {
+            return `url host ${hostname} could not be resolved`;
+        }
+
+        if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+            return 'url must not point to a private, loopback or link-local address';
+        }
+        return null;
+    }
+
+    /**
+     * Create a webhook subscription
+     * @returns {Promise<Object>} The webhook, including its signing secret (only returned here)
+     */
+    async createWebhook(definition) {
+        const { webhook, error } = this.normalizeWebhook(definition);
+        if (error) {
+            throw Object.assign(new Error(error), { statusCode: 400 });
+        }
+
+        const hostError = await this.checkHost(webhook.url);
+        if (hostError) {
+            throw Object.assign(new Error(hostError), { statusCode: 400 });
+        }
+
+        const created = { id: crypto.randomUUID(), ...webhook, createdAt: new Date().toISOString() };
+        await storage.hSet(this.WEBHOOKS_KEY, created.id, JSON.stringify(created));
+
+        console.log(`🪝 Webhook ${created.id} created for ${created.filter.type} ${created.filter.id} (${created.format})`);
+        return created;
+    }
+
+    // Secrets are never listed
+    _public({ secret, ...webhook }) {
+        return webhook;
+    }
+
+    async _getAll() {
+        const entries = await storage.hGetAll(this.WEBHOOKS_KEY);
+        return Object.values(entries).map(json => JSON.parse(json));
+    }
+
+    async listWebhooks() {
+        return (await this._getAll()).map(webhook => this._public(webhook));
+    }
+
+    async getWebhook(id) {
+        const json = await storage.hGet(this.WEBHOOKS_KEY, id);
+        return json ? this._public(JSON.parse(json)) : null;
+    }
+
+    /**
+     * @returns {Promise<boolean>} true if the webhook existed
+     */
+    async deleteWebhook(id) {
+        const removed = await storage.hDel(this.WEBHOOKS_KEY, id);
+        await storage.del(`${this.DELIVERIES_KEY}:${id}`);
+        return removed > 0;
+    }
+
+    /**
+     * @returns {Promise<Array>} Recent deliveries, newest first
+     */
+    async getDeliveries(id) {
+        const entries = await storage.lRange(`${this.DELIVERIES_KEY}:${id}`, 0, -1);
+        return entries.map(json => JSON.parse(json));
+    }
+
+    /**
+     * Queue a match event for every matching webhook
+     * @param {string} event - matchStarting | scoreUpdate | matchFinished
+     * @param {Object} params - Template params, as used for push notifications
+     * @param {string} eventKey - Idempotency key of the event, so it is posted once per webhook
+     */
+    async dispatch(match, event, params, eventKey) {
+        if (!WEBHOOK_EVENTS.includes(event)) return;
+
+        try {
+            const webhooks = (await this._getAll()).filter(webhook =>
+                webhook.events.includes(event) &&
+                FILTER_TYPES[webhook.filter.type](match).includes(webhook.filter.id)
+            );
+
+            for (const webhook of webhooks) {
+                // The body is built now, so retries resend the same delivery
+                const deliveryId = crypto.randomUUID();
+                await notificationQueue.enqueue({
+                    key: `webhook:${webhook.id}:${eventKey}`,
+                    channel: this.JOB_CHANNEL,
+                    webhookId: webhook.id,
+                    event,
+                    matchId: match.id,
+                    deliveryId,
+                    body: JSON.stringify(this.buildPayload(webhook, match, event, params, deliveryId)),
+                    tokens: [webhook.id] // Retried as a whole
+                });
+            }
+        } catch (error) {
+            console.error('❌ Error dispatching webhooks:', error.message);
+        }
+    }
+
+    /**
+     * Build the request body for a webhook's format
+     */
+    buildPayload(webhook, match, event, params, deliveryId) {
+        const { title, body } = localeService.render(webhook.language, event, params);
+        const summary = liveFeedService.summarize(match);
+        const timestamp = new Date().toISOString();
+        const [team1, team2] = summary.opponents;
+        const scores = (summary.results || []).map(result => result.score ?? 0);
+        const context = [match.league?.name, match.serie?.full_name, match.tournament?.name].filter(Boolean).join(' • ');
+        const streamUrl = summary.official_stream_url;
+
+        if (webhook.format === 'discord') {
+            return {
+                embeds: [{
+                    title,
+                    description: body,
+                    color: EVENT_COLORS[event],
+                    ...(streamUrl && { url: streamUrl }),
+                    fields: team1 && team2
+                        ? [{ name: `${team1.name} vs ${team2.name}`, value: `${scores[0] ?? 0} - ${scores[1] ?? 0}` }]
+                        : [],
+                    ...(context && { footer: { text: context } }),
+                    timestamp
+                }]
+            };
+        }
+
+        if (webhook.format === 'slack') {
+            return {
+                text: `${title}: ${body}`,
+                blocks: [
+                    { type: 'header', text: { type: 'plain_text', text: title } },
+                    { type: 'section', text: { type: 'mrkdwn', text: streamUrl ? `${body}\n<${streamUrl}|Watch>` : body } },
+                    ...(context ? [{ type: 'context', elements: [{ type: 'mrkdwn', text: context }] }] : [])
+                ]
+            };
+        }
+
+        return { id: deliveryId, event, timestamp, title, body, match: summary };
+    }
+
+    /**
+     * Sign and POST a body to a webhook
+     * @returns {Promise<number>} Response status
+     */
+    async post(webhook, event, deliveryId, body) {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const signature = crypto.createHmac('sha256', webhook.secret).update(`${timestamp}.${body}`).digest('hex');
+
+        const response = await axios.post(webhook.url, body, {
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'CS2-Esports-Webhooks/1.0',
+                'X-Webhook-Id': webhook.id,
+                'X-Webhook-Event': event,
+                'X-Webhook-Delivery': deliveryId,
+                'X-Webhook-Timestamp': timestamp,
+                'X-Webhook-Signature': `sha256=${signature}`
+            },
+            timeout: this.TIMEOUT,
+            maxRedirects: 0
+        });
+        return response.status;
+    }
+
+    /**
+     * Deliver a queued webhook job (notification queue handler)
+     * Network errors, 429 and 5xx throw so the queue retries the job; other failures are final
+     */
+    async processJob(job, { lastAttempt }) {
+        const json = await storage.hGet(this.WEBHOOKS_KEY, job.webhookId);
+        if (!json) return { failedTokens: [] }; // Deleted in the meantime
+        const webhook = JSON.parse(json);
+
+        const delivery = {
+            id: job.deliveryId,
+            event: job.event,
+            matchId: job.matchId,
+            attempts: job.attempt,
+            success: false,
+            status: null,
+            error: null
+        };
+        let retryable = false;
+
+        // Checked again on delivery: the host may resolve elsewhere since registration
+        const hostError = await this.checkHost(webhook.url);
+        if (hostError) {
+            delivery.error = hostError;
+        } else {
+            try {
+                delivery.status = await this.post(webhook, job.event, job.deliveryId, job.body);
+                delivery.success = true;
+            } catch (error) {
+                delivery.status = error.response?.status || null;
+                delivery.error = error.message;
+                retryable = !delivery.status || delivery.status === 429 || delivery.status >= 500;
+            }
+        }
+
+        if (retryable && !lastAttempt) {
+            throw new Error(delivery.error);
+        }
+
+        delivery.deliveredAt = new Date().toISOString();
+        await this._logDelivery(webhook.id, delivery);
+
+        if (delivery.success) {
+            console.log(`🪝 Webhook ${webhook.id}: ${job.event} for match ${job.matchId} delivered`);
+            return { failedTokens: [] };
+        }
+
+        console.warn(`⚠️ Webhook ${webhook.id}: ${job.event} for match ${job.matchId} failed after ${delivery.attempts} attempts (${delivery.error})`);
+        if (retryable) {
+            // Last attempt: the queue moves the job to its dead letters
+            throw new Error(delivery.error);
+        }
+        return { failedTokens: [] };
+    }
+
+    async _logDelivery(webhookId, delivery) {
+        try {
+            const key = `${this.DELIVERIES_KEY}:${webhookId}`;
+            await storage.lPush(key, JSON.stringify(delivery));
+            await storage.lTrim(key, 0, this.DELIVERY_LOG_LIMIT - 1);
+        } catch (error) {
+            console.error('❌ Error logging webhook delivery:', error.message);
+        }
+    }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,65 @@
+const redisClient = require('../config/redis');
+const RedisStore = require('./redisStore');
+const MemoryStore = require('./memoryStore');
+
+/**
+ * Key-value storage used by the notification subsystem
+ * Backend is chosen once at startup:
+ * - STORAGE_BACKEND=redis  -> Redis (requires REDIS_URL)
+ * - STORAGE_BACKEND=memory -> in-process, persisted to STORAGE_FILE if set
+ * - unset                  -> Redis when connected, memory otherwise
+ */
+class Storage {
+    constructor() {
+        this.backend = null;
+    }
+
+    async init() {
+        const preferred = process.env.STORAGE_BACKEND;
+
+        if (preferred === 'redis' || (!preferred && redisClient.isConnected)) {
+            if (!redisClient.isConnected) {
+                console.warn('⚠️ STORAGE_BACKEND=redis but Redis is not connected');
+            }
+            this.backend = new RedisStore();
+        } else {
+            this.backend = new MemoryStore(process.env.STORAGE_FILE || null);
+        }
+
+        console.log(`🗄️ Storage backend: ${this.backend.name}`);
+        return this.backend;
+    }
+
+    get name() {
+        return this.backend ? this.backend.name : 'uninitialized';
+    }
+
+    _backend() {
+        if (!this.backend) {
+            throw new Error('Storage not initialized');
+        }
+        return this.backend;
+    }
+
+    hGet(key, field) { return this._backend().hGet(key, field); }
+    hSet(key, field, value) { return this._backend().hSet(key, field, value); }
+    hDel(key, field) { return this._backend().hDel(key, field); }
+    hGetAll(key) { return this._backend().hGetAll(key); }
+    sAdd(key, member) { return this._backend().sAdd(key, member); }
+    sRem(key, member) { return this._backend().sRem(key, member); }
+    sIsMember(key, member) { return this._backend().sIsMember(key, member); }
+    sMembers(key) { return this._backend().sMembers(key); }
+    lPush(key, value) { return this._backend().lPush(key, value); }
+    lRange(key, start, stop) { return this._backend().lRange(key, start, stop); }
+    lTrim(key, start, stop) { return this._backend().lTrim(key, start, stop); }
+    lLen(key) { return this._backend().lLen(key); }
+    del(key) { return this._backend().del(key); }
+
+    async close() {
+        if (this.backend) {
+            await this.backend.close();
+        }
+    }
+}
+
+module.exports = new Storage();
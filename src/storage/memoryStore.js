@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+
+// Redis list index semantics: negative indexes count from the end, stop is inclusive
+const listRange = (length, start, stop) => {
+    const from = Math.max(start < 0 ? length + start : start, 0);
+    const to = Math.min(stop < 0 ? length + stop : stop, length - 1);
+    return [from, to];
+};
+
+/**
+ * In-process storage backend with the same hash/set/list semantics as Redis
+ * Optionally persisted to a JSON file so data survives restarts
+ */
+class MemoryStore {
+    constructor(filePath = null) {
+        this.name = filePath ? 'file' : 'memory';
+        this.filePath = filePath;
+        this.data = new Map(); // key -> Map (hash) | Set (set) | Array (list)
+        this.saveTimer = null;
+        this.SAVE_DELAY = 1000; // Debounce writes to the file
+
+        if (filePath) {
+            this._load();
+        }
+    }
+
+    _load() {
+        try {
+            if (!fs.existsSync(this.filePath)) return;
+
+            const snapshot = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+            for (const [key, { type, value }] of Object.entries(snapshot)) {
+                if (type === 'set') this.data.set(key, new Set(value));
+                else if (type === 'list') this.data.set(key, value);
+                else this.data.set(key, new Map(Object.entries(value)));
+            }
+            console.log(`📂 Loaded ${this.data.size} keys from ${this.filePath}`);
+        } catch (error) {
+            console.error(`❌ Failed to load storage file ${this.filePath}:`, error.message);
+        }
+    }
+
+    _scheduleSave() {
+        if (!this.filePath || this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this._save().catch(error => console.error('❌ Failed to persist storage file:', error.message));
+        }, this.SAVE_DELAY);
+    }
+
+    async _save() {
+        const snapshot = {};
+        for (const [key, value] of this.data) {
+            if (value instanceof Set) snapshot[key] = { type: 'set', value: [...value] };
+            else if (Array.isArray(value)) snapshot[key] = { type: 'list', value };
+            else snapshot[key] = { type: 'hash', value: Object.fromEntries(value) };
+        }
+
+        // Write to a temp file first so a crash never leaves a truncated file behind
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.promises.writeFile(tmpPath, JSON.stringify(snapshot));
+        await fs.promises.rename(tmpPath, this.filePath);
+    }
+
+    _get(key, Type) {
+        const value = this.data.get(key);
+        if (value && !(value instanceof Type)) {
+            throw new Error(`WRONGTYPE Operation against key ${key} holding the wrong kind of value`);
+        }
+        return value;
+    }
+
+    _getOrCreate(key, Type) {
+        let value = this._get(key, Type);
+        if (!value) {
+            value = new Type();
+            this.data.set(key, value);
+        }
+        return value;
+    }
+
+    // Redis removes keys whose hash/set/list becomes empty
+    _cleanup(key, value) {
+        if ((Array.isArray(value) ? value.length : value.size) === 0) {
+            this.data.delete(key);
+        }
+    }
+
+    async hGet(key, field) {
+        return this._get(key, Map)?.get(field) ?? null;
+    }
+
+    async hSet(key, field, value) {
+        const hash = this._getOrCreate(key, Map);
+        const isNew = !hash.has(field);
+        hash.set(field, String(value));
+        this._scheduleSave();
+        return isNew ? 1 : 0;
+    }
+
+    async hDel(key, field) {
+        const hash = this._get(key, Map);
+        if (!hash || !hash.delete(field)) return 0;
+        this._cleanup(key, hash);
+        this._scheduleSave();
+        return 1;
+    }
+
+    async hGetAll(key) {
+        return Object.fromEntries(this._get(key, Map) || []);
+    }
+
+    async sAdd(key, member) {
+        const set = this._getOrCreate(key, Set);
+        const isNew = !set.has(String(member));
+        set.add(String(member));
+        this._scheduleSave();
+        return isNew ? 1 : 0;
+    }
+
+    async sRem(key, member) {
+        const set = this._get(key, Set);
+        if (!set || !set.delete(String(member))) return 0;
+        this._cleanup(key, set);
+        this._scheduleSave();
+        return 1;
+    }
+
+    async sIsMember(key, member) {
+        return this._get(key, Set)?.has(String(member)) || false;
+    }
+
+    async sMembers(key) {
+        return [...(this._get(key, Set) || [])];
+    }
+
+    async lPush(key, value) {
+        const list = this._getOrCreate(key, Array);
+        list.unshift(String(value));
+        this._scheduleSave();
+        return list.length;
+    }
+
+    async lRange(key, start, stop) {
+        const list = this._get(key, Array) || [];
+        const [from, to] = listRange(list.length, start, stop);
+        return list.slice(from, to + 1);
+    }
+
+    async lTrim(key, start, stop) {
+        const list = this._get(key, Array);
+        if (!list) return 'OK';
+
+        const [from, to] = listRange(list.length, start, stop);
+        list.splice(0, list.length, ...list.slice(from, to + 1));
+        this._cleanup(key, list);
+        this._scheduleSave();
+        return 'OK';
+    }
+
+    async lLen(key) {
+        return (this._get(key, Array) || []).length;
+    }
+
+    async del(key) {
+        const existed = this.data.delete(key);
+        if (existed) this._scheduleSave();
+        return existed ? 1 : 0;
+    }
+
+    async close() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+            await this._save();
+        }
+    }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,75 @@
+const redisClient = require('../config/redis');
+
+/**
+ * Storage backend using the shared Redis connection
+ */
+class RedisStore {
+    constructor() {
+        this.name = 'redis';
+    }
+
+    get client() {
+        if (!redisClient.isConnected || !redisClient.client) {
+            throw new Error('Redis not connected');
+        }
+        return redisClient.client;
+    }
+
+    async hGet(key, field) {
+        return this.client.hGet(key, field);
+    }
+
+    async hSet(key, field, value) {
+        return this.client.hSet(key, field, value);
+    }
+
+    async hDel(key, field) {
+        return this.client.hDel(key, field);
+    }
+
+    async hGetAll(key) {
+        return this.client.hGetAll(key);
+    }
+
+    async sAdd(key, member) {
+        return this.client.sAdd(key, member);
+    }
+
+    async sRem(key, member) {
+        return this.client.sRem(key, member);
+    }
+
+    async sIsMember(key, member) {
+        return this.client.sIsMember(key, member);
+    }
+
+    async sMembers(key) {
+        return this.client.sMembers(key);
+    }
+
+    async lPush(key, value) {
+        return this.client.lPush(key, value);
+    }
+
+    async lRange(key, start, stop) {
+        return this.client.lRange(key, start, stop);
+    }
+
+    async lTrim(key, start, stop) {
+        return this.client.lTrim(key, start, stop);
+    }
+
+    async lLen(key) {
+        return this.client.lLen(key);
+    }
+
+    async del(key) {
+        return this.client.del(key);
+    }
+
+    async close() {
+        // Connection is owned by redisClient
+    }
+}
+
+module.exports = RedisStore;
@@ -0,0 +1,85 @@
+const admin = require('firebase-admin');
+
+// FCM error codes meaning the token will never work again
+// (not messaging/invalid-argument: a malformed payload fails every token of the batch with it)
+const INVALID_TOKEN_CODES = [
+    'messaging/registration-token-not-registered',
+    'messaging/invalid-registration-token'
+];
+
+const MULTICAST_LIMIT = 500; // Tokens per sendEachForMulticast call
+
+/**
+ * Firebase Cloud Messaging (Android / iOS apps)
+ */
+class FcmTransport {
+    constructor() {
+        this.name = 'fcm';
+        this.available = false;
+        this.initialize();
+    }
+
+    initialize() {
+        try {
+            // Check if service account credentials are provided
+            if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+                // Decode base64 service account (for production)
+                const serviceAccount = JSON.parse(
+                    Buffer.from(process.env.FIREBASE_SERVICE_ACCOUNT, 'base64').toString('utf-8')
+                );
+
+                admin.initializeApp({
+                    credential: admin.credential.cert(serviceAccount)
+                });
+            } else if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+                // Use file path (for local development)
+                admin.initializeApp({
+                    credential: admin.credential.applicationDefault()
+                });
+            } else {
+                console.warn('⚠️ Firebase Admin SDK not initialized: No credentials found');
+                return;
+            }
+
+            this.available = true;
+            console.log('✅ Firebase Admin SDK initialized');
+        } catch (error) {
+            console.error('❌ Failed to initialize Firebase Admin SDK:', error.message);
+        }
+    }
+
+    /**
+     * @param {Array<{ token, address }>} targets - address is the FCM token
+     * @returns {Promise<Array<{ success, invalid, error }>>} One result per target, in order
+     */
+    async send(targets, { title, body }, data) {
+        const results = [];
+
+        for (let i = 0; i < targets.length; i += MULTICAST_LIMIT) {
+            const chunk = targets.slice(i, i + MULTICAST_LIMIT);
+
+            try {
+                const response = await admin.messaging().sendEachForMulticast({
+                    notification: { title, body },
+                    data,
+                    tokens: chunk.map(target => target.address)
+                });
+
+                results.push(...response.responses.map(resp => ({
+                    success: resp.success,
+                    invalid: !resp.success && INVALID_TOKEN_CODES.includes(resp.error?.code),
+                    error: resp.error ? resp.error.code || resp.error.message : null
+                })));
+            } catch (error) {
+                // Only this chunk failed: its targets stay valid and are retried, later chunks are still sent
+                console.error('❌ FCM multicast failed:', error.message);
+                const failed = { success: false, invalid: false, error: error.code || error.message };
+                results.push(...chunk.map(() => ({ ...failed })));
+            }
+        }
+
+        return results;
+    }
+}
+
+module.exports = new FcmTransport();
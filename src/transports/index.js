@@ -0,0 +1,41 @@
+const fcmTransport = require('./fcmTransport');
+const webPushTransport = require('./webPushTransport');
+const localTransport = require('./localTransport');
+
+/**
+ * Notification transports by name
+ * Every transport implements send(targets, { title, body }, data) -> [{ success, invalid, error }]
+ */
+class Transports {
+    constructor() {
+        this.transports = {
+            [fcmTransport.name]: fcmTransport,
+            [webPushTransport.name]: webPushTransport,
+            [localTransport.name]: localTransport
+        };
+        this.DEFAULT = fcmTransport.name;
+    }
+
+    get(name) {
+        return this.transports[name] || null;
+    }
+
+    get names() {
+        return Object.keys(this.transports);
+    }
+
+    /**
+     * @returns {boolean} true if at least one transport can send
+     */
+    get anyAvailable() {
+        return Object.values(this.transports).some(transport => transport.available);
+    }
+
+    getStatus() {
+        return Object.fromEntries(
+            Object.entries(this.transports).map(([name, transport]) => [name, transport.available])
+        );
+    }
+}
+
+module.exports = new Transports();
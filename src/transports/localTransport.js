@@ -0,0 +1,48 @@
+/**
+ * Records notifications in memory instead of sending them (development and tests)
+ * Enabled with PUSH_LOCAL_TRANSPORT=true; tokens starting with "invalid" are reported as invalid
+ */
+class LocalTransport {
+    constructor() {
+        this.name = 'local';
+        this.available = process.env.PUSH_LOCAL_TRANSPORT === 'true';
+        this.MAX_RECORDED = 1000;
+        this.sent = [];
+
+        if (this.available) {
+            console.log('🧪 Local notification transport enabled');
+        }
+    }
+
+    /**
+     * @param {Array<{ token, address }>} targets
+     * @returns {Promise<Array<{ success, invalid, error }>>} One result per target, in order
+     */
+    async send(targets, { title, body }, data) {
+        const sentAt = new Date().toISOString();
+
+        return targets.map(({ token }) => {
+            if (token.startsWith('invalid')) {
+                return { success: false, invalid: true, error: 'INVALID_TOKEN' };
+            }
+
+            this.sent.unshift({ token, title, body, data, sentAt });
+            this.sent.length = Math.min(this.sent.length, this.MAX_RECORDED);
+            console.log(`🧪 [local] ${token}: ${title} - ${body}`);
+            return { success: true, invalid: false, error: null };
+        });
+    }
+
+    /**
+     * @returns {Array} Recorded notifications, newest first
+     */
+    getSent() {
+        return this.sent;
+    }
+
+    clear() {
+        this.sent = [];
+    }
+}
+
+module.exports = new LocalTransport();
@@ -0,0 +1,73 @@
+const webpush = require('web-push');
+
+// Push service responses meaning the subscription is gone
+const INVALID_STATUS_CODES = [404, 410];
+
+/**
+ * Web Push with VAPID (browsers / the web app)
+ * A registration's token is its subscription endpoint
+ */
+class WebPushTransport {
+    constructor() {
+        this.name = 'webpush';
+        this.available = false;
+        this.publicKey = process.env.VAPID_PUBLIC_KEY || null;
+        this.TTL = 60 * 60; // Seconds the push service keeps an undelivered message
+        this.initialize();
+    }
+
+    initialize() {
+        const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT } = process.env;
+        if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) {
+            console.warn('⚠️ Web Push not initialized: VAPID keys not set');
+            return;
+        }
+
+        try {
+            webpush.setVapidDetails(VAPID_SUBJECT || 'mailto:admin@example.com', VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+            this.available = true;
+            console.log('✅ Web Push initialized');
+        } catch (error) {
+            console.error('❌ Failed to initialize Web Push:', error.message);
+        }
+    }
+
+    /**
+     * Check a browser PushSubscription ({ endpoint, keys: { p256dh, auth } })
+     */
+    isValidSubscription(subscription) {
+        return Boolean(
+            subscription &&
+            typeof subscription.endpoint === 'string' &&
+            subscription.endpoint.startsWith('https://') &&
+            typeof subscription.keys?.p256dh === 'string' &&
+            typeof subscription.keys?.auth === 'string'
+        );
+    }
+
+    /**
+     * @param {Array<{ token, address }>} targets - address is the PushSubscription
+     * @returns {Promise<Array<{ success, invalid, error }>>} One result per target, in order
+     */
+    async send(targets, { title, body }, data) {
+        const payload = JSON.stringify({ title, body, data });
+
+        const results = await Promise.allSettled(
+            targets.map(target => webpush.sendNotification(target.address, payload, { TTL: this.TTL }))
+        );
+
+        return results.map(result => {
+            if (result.status === 'fulfilled') {
+                return { success: true, invalid: false, error: null };
+            }
+            const { statusCode, message } = result.reason;
+            return {
+                success: false,
+                invalid: INVALID_STATUS_CODES.includes(statusCode),
+                error: statusCode ? `HTTP_${statusCode}` : message
+            };
+        });
+    }
+}
+
+module.exports = new WebPushTransport();
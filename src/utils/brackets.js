@@ -0,0 +1,367 @@
+const FORMATS = ['single_elimination', 'double_elimination', 'swiss'];
+
+const matchTime = (match) => Date.parse(match.begin_at || match.scheduled_at) || 0;
+const byTime = (a, b) => matchTime(a) - matchTime(b) || a.id - b.id;
+const nodeTime = (node) => Date.parse(node.beginAt) || 0;
+const byNodeTime = (a, b) => nodeTime(a) - nodeTime(b) || a.id - b.id;
+
+const NAME_HINTS = {
+    grandFinal: /grand final/i,
+    lower: /lower bracket|loser/i,
+    upper: /upper bracket|winner/i,
+    thirdPlace: /3rd|third place|bronze/i,
+    swiss: /swiss/i
+};
+
+const winnerOf = (match) => match.winner_id ?? match.winner?.id ?? null;
+
+const teamIds = (match) => (match.opponents || []).map(o => o.opponent?.id).filter(id => id !== undefined && id !== null);
+
+/**
+ * Normalize a PandaScore team for bracket and standings output
+ */
+const normalizeTeam = (team) => team ? {
+    id: team.id,
+    name: team.name,
+    acronym: team.acronym || null,
+    imageUrl: team.image_url || null
+} : null;
+
+/**
+ * Normalize a match into a bracket node; links are filled in later
+ */
+const toNode = (match) => {
+    const winnerId = winnerOf(match);
+
+    return {
+        id: match.id,
+        name: match.name || null,
+        status: match.status,
+        beginAt: match.begin_at || match.scheduled_at || null,
+        bestOf: match.number_of_games || null,
+        teams: [0, 1].map(index => {
+            const opponent = match.opponents?.[index]?.opponent;
+            if (!opponent) return null;
+
+            const result = (match.results || []).find(r => r.team_id === opponent.id);
+            return {
+                ...normalizeTeam(opponent),
+                score: result ? result.score : null,
+                winner: winnerId !== null ? opponent.id === winnerId : null
+            };
+        }),
+        winnerId,
+        previous: [], // [{ matchId, type: 'winner' | 'loser' }]
+        next: null, // Match the winner plays next
+        loserNext: null // Match the loser plays next (double elimination, third place)
+    };
+};
+
+/**
+ * Link matches: PandaScore's previous_matches when present, otherwise inferred
+ * from each team's previous match (its winner or loser feeds the next one)
+ */
+function linkMatches(matches, nodes) {
+    const hasUpstreamLinks = matches.some(m => Array.isArray(m.previous_matches) && m.previous_matches.length > 0);
+
+    if (hasUpstreamLinks) {
+        for (const match of matches) {
+            nodes.get(match.id).previous = (match.previous_matches || [])
+                .filter(p => nodes.has(p.match_id))
+                .map(p => ({ matchId: p.match_id, type: p.type === 'loser' ? 'loser' : 'winner' }));
+        }
+    } else {
+        const lastMatchOfTeam = new Map();
+
+        for (const match of [...matches].sort(byTime)) {
+            const node = nodes.get(match.id);
+
+            for (const teamId of teamIds(match)) {
+                const previous = lastMatchOfTeam.get(teamId);
+                if (previous && winnerOf(previous) !== null) {
+                    node.previous.push({ matchId: previous.id, type: winnerOf(previous) === teamId ? 'winner' : 'loser' });
+                }
+                lastMatchOfTeam.set(teamId, match);
+            }
+        }
+    }
+
+    for (const node of nodes.values()) {
+        for (const { matchId, type } of node.previous) {
+            const source = nodes.get(matchId);
+            if (type === 'winner') source.next = node.id;
+            else source.loserNext = node.id;
+        }
+    }
+
+    return hasUpstreamLinks ? 'pandascore' : 'derived';
+}
+
+/**
+ * Guess the format from match names first, then from how many losses a team survives
+ * (single elimination: 1, double elimination: 2, Swiss: 3). Early Swiss rounds look like
+ * double elimination, so pass the format explicitly when it is known.
+ */
+function detectFormat(matches, tournamentName = '') {
+    const names = matches.map(m => m.name || '').join('\n');
+
+    if (NAME_HINTS.swiss.test(tournamentName) || NAME_HINTS.swiss.test(names)) return 'swiss';
+    if (NAME_HINTS.grandFinal.test(names) || NAME_HINTS.lower.test(names)) return 'double_elimination';
+
+    const losses = new Map();
+    let maxLossesBeforeMatch = 0;
+
+    for (const match of [...matches].sort(byTime)) {
+        if (NAME_HINTS.thirdPlace.test(match.name || '')) continue;
+
+        for (const teamId of teamIds(match)) {
+            maxLossesBeforeMatch = Math.max(maxLossesBeforeMatch, losses.get(teamId) || 0);
+        }
+
+        const winnerId = winnerOf(match);
+        if (winnerId === null) continue;
+        for (const teamId of teamIds(match)) {
+            if (teamId !== winnerId) losses.set(teamId, (losses.get(teamId) || 0) + 1);
+        }
+    }
+
+    if (maxLossesBeforeMatch === 0) return 'single_elimination';
+    if (maxLossesBeforeMatch === 1) return 'double_elimination';
+    return 'swiss';
+}
+
+const eliminationRoundName = (number, total) => {
+    const fromEnd = total - number;
+    if (fromEnd === 0) return 'Final';
+    if (fromEnd === 1) return 'Semifinals';
+    if (fromEnd === 2) return 'Quarterfinals';
+    return `Round ${number}`;
+};
+
+/**
+ * Assign elimination matches to stages: main / third_place (single),
+ * upper / lower / grand_final (double)
+ */
+function assignStages(nodes, format) {
+    const stages = new Map();
+    const ordered = [...nodes.values()].sort(byNodeTime);
+
+    const stageOf = (node) => {
+        if (stages.has(node.id)) return stages.get(node.id);
+
+        const name = node.name || '';
+        const sources = node.previous.map(p => ({ ...p, stage: stageOf(nodes.get(p.matchId)) }));
+        let stage;
+
+        if (format === 'single_elimination') {
+            const fedByLosers = sources.length > 0 && sources.every(s => s.type === 'loser');
+            stage = NAME_HINTS.thirdPlace.test(name) || fedByLosers ? 'third_place' : 'main';
+        } else if (NAME_HINTS.grandFinal.test(name)) {
+            stage = 'grand_final';
+        } else if (NAME_HINTS.lower.test(name)) {
+            stage = 'lower';
+        } else if (NAME_HINTS.upper.test(name)) {
+            stage = 'upper';
+        } else {
+            const fromUpper = sources.some(s => s.stage === 'upper' && s.type === 'winner');
+            const fromLower = sources.some(s => s.stage === 'lower' || s.type === 'loser');
+
+            if (fromUpper && fromLower && !node.next && !node.loserNext) stage = 'grand_final';
+            else if (fromLower) stage = 'lower';
+            else stage = 'upper';
+        }
+
+        stages.set(node.id, stage);
+        return stage;
+    };
+
+    ordered.forEach(stageOf);
+    return stages;
+}
+
+/**
+ * Round number within a stage: longest chain of same-stage matches leading to it
+ * Unlinked matches without teams yet (TBD) follow the rounds scheduled before them
+ */
+function assignRounds(nodes, stages) {
+    const rounds = new Map();
+
+    const roundOf = (node) => {
+        if (rounds.has(node.id)) return rounds.get(node.id);
+
+        const stage = stages.get(node.id);
+        const sameStage = node.previous
+            .map(p => nodes.get(p.matchId))
+            .filter(previous => stages.get(previous.id) === stage);
+
+        let round = 1;
+        if (sameStage.length > 0) {
+            round = 1 + Math.max(...sameStage.map(roundOf));
+        } else if (node.teams.every(team => team === null)) {
+            const earlier = [...nodes.values()].filter(other =>
+                other.id !== node.id && stages.get(other.id) === stage && nodeTime(other) < nodeTime(node)
+            );
+            round = 1 + Math.max(0, ...earlier.map(roundOf));
+        }
+
+        rounds.set(node.id, round);
+        return round;
+    };
+
+    [...nodes.values()].sort(byNodeTime).forEach(roundOf);
+    return rounds;
+}
+
+const STAGE_ORDER = ['main', 'upper', 'lower', 'grand_final', 'third_place', 'swiss'];
+
+function groupRounds(nodes, stages, rounds) {
+    const groups = new Map();
+
+    for (const node of [...nodes.values()].sort(byNodeTime)) {
+        const key = `${stages.get(node.id)}:${rounds.get(node.id)}`;
+        if (!groups.has(key)) {
+            groups.set(key, { stage: stages.get(node.id), number: rounds.get(node.id), matches: [] });
+        }
+        groups.get(key).matches.push(node);
+    }
+
+    const roundCount = (stage) => Math.max(0, ...[...groups.values()].filter(g => g.stage === stage).map(g => g.number));
+
+    return [...groups.values()]
+        .sort((a, b) => STAGE_ORDER.indexOf(a.stage) - STAGE_ORDER.indexOf(b.stage) || a.number - b.number)
+        .map(group => {
+            let name;
+            if (group.stage === 'main' || group.stage === 'upper') {
+                name = eliminationRoundName(group.number, roundCount(group.stage));
+                if (group.stage === 'upper') name = `Upper ${name.charAt(0).toLowerCase()}${name.slice(1)}`;
+            } else if (group.stage === 'lower') {
+                name = group.number === roundCount('lower') ? 'Lower final' : `Lower round ${group.number}`;
+            } else if (group.stage === 'grand_final') {
+                name = group.number === 1 ? 'Grand final' : 'Grand final reset';
+            } else if (group.stage === 'third_place') {
+                name = 'Third place';
+            } else {
+                name = `Round ${group.number}`;
+            }
+            return { ...group, name };
+        });
+}
+
+/**
+ * Swiss rounds: a match belongs to round N when its teams have played N - 1 matches before it;
+ * each team carries its record going into the match
+ */
+function swissRounds(matches, nodes) {
+    const records = new Map(); // teamId -> { wins, losses }
+    const rounds = new Map();
+
+    for (const match of [...matches].sort(byTime)) {
+        const node = nodes.get(match.id);
+        const played = teamIds(match).map(teamId => {
+            const record = records.get(teamId) || { wins: 0, losses: 0 };
+            return record.wins + record.losses;
+        });
+        rounds.set(match.id, 1 + Math.max(0, ...played));
+
+        for (const team of node.teams.filter(Boolean)) {
+            const record = records.get(team.id) || { wins: 0, losses: 0 };
+            team.record = `${record.wins}-${record.losses}`;
+        }
+
+        const winnerId = winnerOf(match);
+        if (winnerId === null) continue;
+        for (const teamId of teamIds(match)) {
+            const record = records.get(teamId) || { wins: 0, losses: 0 };
+            if (teamId === winnerId) record.wins++;
+            else record.losses++;
+            records.set(teamId, record);
+        }
+    }
+
+    return rounds;
+}
+
+/**
+ * Build a normalized bracket from a tournament's matches
+ * @param {Array} matches - PandaScore matches (with previous_matches when available)
+ * @param {Object} options - { format: one of FORMATS (detected when omitted), tournamentName }
+ * @returns {{ format: string, links: 'pandascore' | 'derived', rounds: Array<{ stage, number, name, matches }> }}
+ */
+function buildBracket(matches, { format = null, tournamentName = '' } = {}) {
+    const nodes = new Map(matches.map(match => [match.id, toNode(match)]));
+    const links = linkMatches(matches, nodes);
+    const bracketFormat = FORMATS.includes(format) ? format : detectFormat(matches, tournamentName);
+
+    let stages;
+    let rounds;
+    if (bracketFormat === 'swiss') {
+        rounds = swissRounds(matches, nodes);
+        stages = new Map([...nodes.keys()].map(id => [id, 'swiss']));
+    } else {
+        stages = assignStages(nodes, bracketFormat);
+        rounds = assignRounds(nodes, stages);
+    }
+
+    return { format: bracketFormat, links, rounds: groupRounds(nodes, stages, rounds) };
+}
+
+/**
+ * Normalize PandaScore standings (group tables and bracket placements)
+ * @returns {Array<{ rank, team, wins, losses, ties, total, lastMatchId }>}
+ */
+function normalizeStandings(standings = []) {
+    return standings
+        .map(entry => ({
+            rank: entry.rank ?? null,
+            team: normalizeTeam(entry.team),
+            wins: entry.wins ?? null,
+            losses: entry.losses ?? null,
+            ties: entry.ties ?? null,
+            total: entry.total ?? null,
+            lastMatchId: entry.last_match?.id ?? null
+        }))
+        .sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity));
+}
+
+/**
+ * Standings from finished matches: most wins first, then fewest losses
+ */
+function deriveStandings(matches) {
+    const table = new Map();
+
+    for (const match of matches) {
+        for (const { opponent } of match.opponents || []) {
+            if (opponent && !table.has(opponent.id)) {
+                table.set(opponent.id, { team: normalizeTeam(opponent), wins: 0, losses: 0, ties: 0, lastMatchId: null });
+            }
+        }
+
+        if (match.status !== 'finished') continue;
+        const winnerId = winnerOf(match);
+
+        for (const teamId of teamIds(match)) {
+            const row = table.get(teamId);
+            if (winnerId === null) row.ties++;
+            else if (teamId === winnerId) row.wins++;
+            else row.losses++;
+            row.lastMatchId = match.id;
+        }
+    }
+
+    const rows = [...table.values()].sort((a, b) => b.wins - a.wins || a.losses - b.losses || String(a.team.name).localeCompare(String(b.team.name)));
+
+    // Teams with the same record share a rank
+    return rows.map((row, index) => {
+        const previous = rows[index - 1];
+        const sameAsPrevious = previous && previous.wins === row.wins && previous.losses === row.losses;
+        row.rank = sameAsPrevious ? previous.rank : index + 1;
+        return { rank: row.rank, team: row.team, wins: row.wins, losses: row.losses, ties: row.ties, total: row.wins + row.losses + row.ties, lastMatchId: row.lastMatchId };
+    });
+}
+
+module.exports = {
+    FORMATS,
+    buildBracket,
+    normalizeStandings,
+    deriveStandings
+};
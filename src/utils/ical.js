@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+
+const PRODID = '-//CS2 Esports//Match Calendar//EN';
+const UID_DOMAIN = 'cs2-esports';
+const HOUR = 60 * 60 * 1000;
+const MAX_LINE_OCTETS = 75;
+
+// Text values escape backslashes, separators and newlines (RFC 5545 3.3.11)
+const escapeText = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// UTC date-time: 20250101T180000Z
+const formatDate = (time) => new Date(time).toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+
+// Lines longer than 75 octets are folded, continuation lines start with a space
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const teamName = (match, index) => match.opponents?.[index]?.opponent?.name || 'TBD';
+
+const streamUrl = (match) => match.official_stream_url || match.streams_list?.[0]?.raw_url || null;
+
+/**
+ * Title of a match event, with the score once the match has started
+ */
+function matchSummary(match) {
+    const [team1, team2] = [teamName(match, 0), teamName(match, 1)];
+    if (match.status !== 'running' && match.status !== 'finished') {
+        return `${team1} vs ${team2}`;
+    }
+
+    const scoreOf = (index) => {
+        const id = match.opponents?.[index]?.opponent?.id;
+        return (match.results || []).find(r => r.team_id === id)?.score ?? 0;
+    };
+    const live = match.status === 'running' ? ' (LIVE)' : '';
+    return `${team1} ${scoreOf(0)}-${scoreOf(1)} ${team2}${live}`;
+}
+
+/**
+ * VEVENT lines for a match, or null when it has no date
+ * The UID only depends on the match id, so rescheduled matches update the existing event
+ * DTSTAMP is modified_at, else the begin time, so it only changes with the match itself (stable ETags)
+ */
+function buildEvent(match) {
+    const begin = Date.parse(match.begin_at || match.scheduled_at);
+    if (Number.isNaN(begin)) return null;
+
+    // Finished matches end when they ended, others are estimated at an hour per map
+    const ended = Date.parse(match.end_at);
+    const end = Number.isNaN(ended) ? begin + (match.number_of_games || 1) * HOUR : ended;
+    const modified = Date.parse(match.modified_at);
+    const url = streamUrl(match);
+
+    const description = [
+        [match.league?.name, match.serie?.full_name, match.tournament?.name].filter(Boolean).join(' • '),
+        match.number_of_games ? `Best of ${match.number_of_games}` : null,
+        url ? `Stream: ${url}` : null
+    ].filter(Boolean).join('\n');
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:match-${match.id}@${UID_DOMAIN}`,
+        `DTSTAMP:${formatDate(Number.isNaN(modified) ? begin : modified)}`,
+        ...(Number.isNaN(modified) ? [] : [`LAST-MODIFIED:${formatDate(modified)}`]),
+        `DTSTART:${formatDate(begin)}`,
+        `DTEND:${formatDate(Math.max(end, begin))}`,
+        `SUMMARY:${escapeText(matchSummary(match))}`,
+        ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+        ...(match.tournament?.name ? [`LOCATION:${escapeText(match.tournament.name)}`] : []),
+        ...(url ? [`URL:${url}`] : []),
+        `STATUS:${match.status === 'canceled' ? 'CANCELLED' : 'CONFIRMED'}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+    ];
+}
+
+/**
+ * Build an iCalendar (RFC 5545) feed of matches
+ * @param {Object} options - { name, description, matches }
+ * @returns {string} Calendar text with CRLF line endings
+ */
+function buildCalendar({ name, description, matches = [] }) {
+    const sorted = [...matches].sort((a, b) =>
+        Date.parse(a.begin_at || a.scheduled_at) - Date.parse(b.begin_at || b.scheduled_at) || a.id - b.id
+    );
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        ...(description ? [`X-WR-CALDESC:${escapeText(description)}`] : []),
+        // Suggested polling interval for calendar apps
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H',
+        ...sorted.flatMap(match => buildEvent(match) || []),
+        'END:VCALENDAR'
+    ];
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Strong ETag of a calendar's content: unchanged feeds answer 304 even when other matches changed
+ */
+function buildCalendarEtag(calendar) {
+    return `"${crypto.createHash('sha1').update(calendar).digest('base64url')}"`;
+}
+
+module.exports = {
+    buildCalendar,
+    buildCalendarEtag
+};
@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+
+const VALID_STATUSES = ['running', 'not_started', 'finished'];
+const VALID_SORTS = ['begin_at', '-begin_at'];
+const MAX_LIMIT = 100;
+
+// Helpers for comma separated query values (?status=running,finished)
+const splitList = (value) => String(value)
+    .split(',')
+    .map(v => v.trim())
+    .filter(Boolean);
+
+const parseIdList = (value) => {
+    const ids = splitList(value).map(Number);
+    return ids.every(Number.isInteger) ? ids : null;
+};
+
+const parseDate = (value) => {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+};
+
+const matchTime = (match) => Date.parse(match.begin_at || match.scheduled_at) || 0;
+
+// Cursors are opaque to clients: base64url encoded "<begin_at ms>:<match id>"
+// of the last item on the previous page (keyset pagination, stable while the cache changes)
+const encodeCursor = (match) => Buffer.from(`${matchTime(match)}:${match.id}`).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    const [time, id] = Buffer.from(String(cursor), 'base64url').toString('utf-8').split(':').map(Number);
+    // Times outside the Date range would make the cursor's anchor throw
+    if (Number.isNaN(new Date(time).getTime()) || !Number.isInteger(id)) return null;
+    return { time, id };
+};
+
+/**
+ * Parse and validate /matches query parameters
+ * @param {Object} query - Express req.query
+ * @returns {{ options: Object } | { error: string }}
+ */
+function parseMatchQuery(query = {}) {
+    const options = {
+        sort: query.sort || 'begin_at',
+        paginate: query.limit !== undefined || query.page !== undefined || query.cursor !== undefined
+    };
+
+    if (!VALID_SORTS.includes(options.sort)) {
+        return { error: `sort must be one of: ${VALID_SORTS.join(', ')}` };
+    }
+
+    if (query.status) {
+        options.statuses = splitList(query.status);
+        if (!options.statuses.every(s => VALID_STATUSES.includes(s))) {
+            return { error: `status must be one of: ${VALID_STATUSES.join(', ')}` };
+        }
+    }
+
+    // Team accepts PandaScore ids or names/acronyms (case-insensitive)
+    if (query.team) {
+        options.teams = splitList(query.team).map(t => t.toLowerCase());
+    }
+
+    for (const field of ['league', 'serie', 'tournament']) {
+        if (query[field]) {
+            const ids = parseIdList(query[field]);
+            if (!ids) return { error: `${field} must be a comma separated list of ids` };
+            options[`${field}Ids`] = ids;
+        }
+    }
+
+    if (query.tier) {
+        options.tiers = splitList(query.tier).map(t => t.toLowerCase());
+    }
+
+    for (const field of ['from', 'to']) {
+        if (query[field]) {
+            const time = parseDate(query[field]);
+            if (time === null) return { error: `${field} must be a valid date` };
+            options[field] = time;
+        }
+    }
+
+    if (options.paginate) {
+        options.limit = query.limit !== undefined ? Number(query.limit) : 50;
+        if (!Number.isInteger(options.limit) || options.limit < 1 || options.limit > MAX_LIMIT) {
+            return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+        }
+
+        if (query.cursor !== undefined) {
+            options.cursor = decodeCursor(query.cursor);
+            if (!options.cursor) return { error: 'Invalid cursor' };
+        } else {
+            options.page = query.page !== undefined ? Number(query.page) : 1;
+            if (!Number.isInteger(options.page) || options.page < 1) {
+                return { error: 'page must be a positive integer' };
+            }
+        }
+    }
+
+    // Delta sync: ISO date or epoch milliseconds
+    if (query.since !== undefined) {
+        options.since = /^\d+$/.test(query.since) ? Number(query.since) : parseDate(query.since);
+        if (options.since === null) return { error: 'since must be a date or a timestamp in milliseconds' };
+        if (options.paginate) return { error: 'since cannot be combined with limit, page or cursor' };
+    }
+
+    return { options };
+}
+
+/**
+ * Parse and validate /archive/matches query parameters
+ * @param {Object} query - Express req.query
+ * @returns {{ options: Object } | { error: string }}
+ */
+function parseArchiveQuery(query = {}) {
+    const options = { sort: query.sort || '-begin_at' };
+
+    if (!VALID_SORTS.includes(options.sort)) {
+        return { error: `sort must be one of: ${VALID_SORTS.join(', ')}` };
+    }
+
+    for (const [field, option] of [['team', 'teamIds'], ['tournament', 'tournamentIds']]) {
+        if (query[field]) {
+            const ids = parseIdList(query[field]);
+            if (!ids) return { error: `${field} must be a comma separated list of ids` };
+            options[option] = ids;
+        }
+    }
+
+    for (const field of ['from', 'to']) {
+        if (query[field]) {
+            const time = parseDate(query[field]);
+            if (time === null) return { error: `${field} must be a valid date` };
+            options[field] = time;
+        }
+    }
+
+    options.limit = query.limit !== undefined ? Number(query.limit) : 50;
+    if (!Number.isInteger(options.limit) || options.limit < 1 || options.limit > MAX_LIMIT) {
+        return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+    }
+
+    options.page = query.page !== undefined ? Number(query.page) : 1;
+    if (!Number.isInteger(options.page) || options.page < 1) {
+        return { error: 'page must be a positive integer' };
+    }
+
+    return { options };
+}
+
+/**
+ * Filters the match cache can answer from its indexes (status, team ids, begin time)
+ * Team names and acronyms can't be looked up in the index and are only applied by applyMatchQuery
+ * @param {Object} options - Output of parseMatchQuery()
+ */
+function toStoreFilters(options) {
+    const filters = {};
+    if (options.statuses) filters.statuses = options.statuses;
+    if (options.teams && options.teams.every(team => /^\d+$/.test(team))) {
+        filters.teamIds = options.teams.map(Number);
+    }
+    if (options.from !== undefined) filters.from = options.from;
+    if (options.to !== undefined) filters.to = options.to;
+    return filters;
+}
+
+/**
+ * Weak ETag for a /matches response: changes whenever the cache is updated or the query differs
+ * @param {string} lastUpdate - Cache lastUpdate timestamp
+ * @param {Object} query - Express req.query
+ */
+function buildMatchesEtag(lastUpdate, query = {}) {
+    const normalizedQuery = Object.keys(query).sort().map(key => `${key}=${query[key]}`).join('&');
+    const hash = crypto.createHash('sha1').update(`${lastUpdate}|${normalizedQuery}`).digest('base64url');
+    return `W/"${hash}"`;
+}
+
+function matchesTeamFilter(match, teams) {
+    return (match.opponents || []).some(({ opponent }) => {
+        if (!opponent) return false;
+        return teams.some(team =>
+            team === String(opponent.id) ||
+            team === (opponent.name || '').toLowerCase() ||
+            team === (opponent.acronym || '').toLowerCase() ||
+            team === (opponent.slug || '').toLowerCase()
+        );
+    });
+}
+
+function filterMatches(matches, options) {
+    return matches.filter(match => {
+        if (options.statuses && !options.statuses.includes(match.status)) return false;
+        if (options.teams && !matchesTeamFilter(match, options.teams)) return false;
+        if (options.leagueIds && !options.leagueIds.includes(match.league_id)) return false;
+        if (options.serieIds && !options.serieIds.includes(match.serie_id)) return false;
+        if (options.tournamentIds && !options.tournamentIds.includes(match.tournament_id)) return false;
+        if (options.tiers && !options.tiers.includes((match.tournament?.tier || '').toLowerCase())) return false;
+
+        const time = matchTime(match);
+        if (options.from !== undefined && time < options.from) return false;
+        if (options.to !== undefined && time > options.to) return false;
+
+        return true;
+    });
+}
+
+/**
+ * Apply filters, sort order and pagination to a list of cached matches
+ * @param {Array} matches - Raw PandaScore match objects
+ * @param {Object} options - Output of parseMatchQuery()
+ * @returns {{ matches: Array, total: number, page?: number, nextCursor: string|null }}
+ */
+function applyMatchQuery(matches, options) {
+    const direction = options.sort === '-begin_at' ? -1 : 1;
+    const compare = (a, b) => direction * ((matchTime(a) - matchTime(b)) || (a.id - b.id));
+
+    const filtered = filterMatches(matches, options).sort(compare);
+    const total = filtered.length;
+
+    if (!options.paginate) {
+        return { matches: filtered, total, nextCursor: null };
+    }
+
+    let start;
+    if (options.cursor) {
+        const anchor = { id: options.cursor.id, begin_at: new Date(options.cursor.time).toISOString() };
+        start = filtered.findIndex(m => compare(m, anchor) > 0);
+        if (start === -1) start = total;
+    } else {
+        start = (options.page - 1) * options.limit;
+    }
+
+    const pageItems = filtered.slice(start, start + options.limit);
+    const hasMore = start + options.limit < total;
+
+    return {
+        matches: pageItems,
+        total,
+        page: options.page,
+        nextCursor: hasMore && pageItems.length > 0 ? encodeCursor(pageItems[pageItems.length - 1]) : null
+    };
+}
+
+module.exports = {
+    parseMatchQuery,
+    applyMatchQuery,
+    toStoreFilters,
+    parseArchiveQuery,
+    buildMatchesEtag
+};
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildBracket, normalizeStandings, deriveStandings } = require('../src/utils/brackets');
+
+const team = (id) => ({ opponent: { id, name: `Team ${id}` } });
+
+const finished = (id, [a, b], winnerId, day, name = null) => ({
+    id,
+    name,
+    status: 'finished',
+    begin_at: `2026-01-0${day}T10:00:00Z`,
+    opponents: [team(a), team(b)],
+    winner_id: winnerId,
+    results: [{ team_id: a, score: a === winnerId ? 2 : 0 }, { team_id: b, score: b === winnerId ? 2 : 0 }]
+});
+
+// Four teams, single elimination: 1 beats 2, 3 beats 4, 3 wins the final
+const singleElimination = [
+    finished(1, [1, 2], 1, 1),
+    finished(2, [3, 4], 3, 1),
+    finished(3, [1, 3], 3, 2)
+];
+
+test('single elimination is detected and linked from team histories', () => {
+    const bracket = buildBracket(singleElimination);
+
+    assert.equal(bracket.format, 'single_elimination');
+    assert.equal(bracket.links, 'derived');
+    assert.deepEqual(bracket.rounds.map(round => round.matches.map(m => m.id)), [[1, 2], [3]]);
+
+    const [semifinals, final] = bracket.rounds;
+    assert.deepEqual(semifinals.matches.map(m => m.next), [3, 3]);
+    assert.deepEqual(final.matches[0].previous, [{ matchId: 1, type: 'winner' }, { matchId: 2, type: 'winner' }]);
+    assert.equal(final.matches[0].teams[1].winner, true);
+});
+
+test('PandaScore links win over inferred ones', () => {
+    const matches = singleElimination.map(match => match.id === 3
+        ? { ...match, previous_matches: [{ match_id: 1, type: 'winner' }, { match_id: 2, type: 'winner' }] }
+        : match);
+
+    assert.equal(buildBracket(matches).links, 'pandascore');
+});
+
+test('a team surviving one loss means double elimination', () => {
+    const matches = [
+        ...singleElimination,
+        finished(4, [2, 4], 2, 2), // Lower bracket
+        finished(5, [2, 1], 1, 3)
+    ];
+
+    assert.equal(buildBracket(matches).format, 'double_elimination');
+});
+
+test('an explicit format is kept', () => {
+    assert.equal(buildBracket(singleElimination, { format: 'swiss' }).format, 'swiss');
+    assert.equal(buildBracket(singleElimination, { tournamentName: 'Swiss Stage' }).format, 'swiss');
+});
+
+test('derived standings rank by wins then losses, ties share a rank', () => {
+    const standings = deriveStandings(singleElimination);
+
+    assert.deepEqual(standings.map(row => [row.rank, row.team.id, row.wins, row.losses]), [
+        [1, 3, 2, 0],
+        [2, 1, 1, 1],
+        [3, 2, 0, 1],
+        [3, 4, 0, 1]
+    ]);
+});
+
+test('unfinished matches list their teams without results', () => {
+    const standings = deriveStandings([{ ...finished(9, [5, 6], null, 1), status: 'not_started' }]);
+    assert.deepEqual(standings.map(row => [row.team.id, row.total]), [[5, 0], [6, 0]]);
+});
+
+test('PandaScore standings are normalized and sorted by rank', () => {
+    const standings = normalizeStandings([
+        { rank: 2, team: { id: 1, name: 'A' }, wins: 1, losses: 1, last_match: { id: 7 } },
+        { rank: 1, team: { id: 2, name: 'B', image_url: 'b.png' }, wins: 2, losses: 0 }
+    ]);
+
+    assert.deepEqual(standings.map(row => row.team.id), [2, 1]);
+    assert.equal(standings[0].team.imageUrl, 'b.png');
+    assert.equal(standings[1].lastMatchId, 7);
+    assert.equal(standings[1].ties, null);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const cacheService = require('../src/services/cacheService');
+
+// Without REDIS_URL entries are only kept in memory
+const lifetime = { ttl: 60, staleTtl: 600 };
+
+test.beforeEach((t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-06-01T00:00:00Z') });
+    t.mock.method(console, 'log', () => {});
+});
+
+const advance = (t, seconds) => t.mock.timers.setTime(Date.now() + seconds * 1000);
+
+test('a value is loaded once, then served from the cache while fresh', async (t) => {
+    const loader = t.mock.fn(async () => 'v1');
+
+    assert.deepEqual(await cacheService.fetch('fresh', lifetime, loader), { value: 'v1', cache: 'MISS', age: 0 });
+    advance(t, 30);
+    assert.deepEqual(await cacheService.fetch('fresh', lifetime, loader), { value: 'v1', cache: 'HIT', age: 30 });
+    assert.equal(loader.mock.callCount(), 1);
+});
+
+test('stale values are served while they are refreshed in the background', async (t) => {
+    let version = 0;
+    const loader = t.mock.fn(async () => `v${++version}`);
+    await cacheService.fetch('stale', lifetime, loader);
+
+    advance(t, 90);
+    const [first, second] = await Promise.all([
+        cacheService.fetch('stale', lifetime, loader),
+        cacheService.fetch('stale', lifetime, loader)
+    ]);
+    assert.deepEqual([first.value, first.cache, first.age], ['v1', 'STALE', 90]);
+    assert.equal(second.value, 'v1');
+
+    await cacheService.refreshing.get('stale');
+    assert.equal(loader.mock.callCount(), 2); // One refresh for both requests
+    assert.deepEqual(await cacheService.fetch('stale', lifetime, loader), { value: 'v2', cache: 'HIT', age: 0 });
+});
+
+test('a failed refresh keeps serving the stale value', async (t) => {
+    await cacheService.fetch('failing', lifetime, async () => 'v1');
+    advance(t, 90);
+
+    const failing = async () => {
+        throw new Error('PandaScore down');
+    };
+    assert.equal((await cacheService.fetch('failing', lifetime, failing)).cache, 'STALE');
+    await cacheService.refreshing.get('failing')?.catch(() => {});
+
+    assert.equal((await cacheService.fetch('failing', lifetime, failing)).value, 'v1');
+});
+
+test('expired values are loaded again and load errors reach the caller', async (t) => {
+    await cacheService.fetch('expired', lifetime, async () => 'v1');
+    advance(t, lifetime.ttl + lifetime.staleTtl);
+
+    await assert.rejects(cacheService.fetch('expired', lifetime, async () => {
+        throw new Error('PandaScore down');
+    }), /PandaScore down/);
+    assert.equal(await cacheService.get('expired'), null);
+});
+
+test('concurrent misses share one load and empty results are not cached', async (t) => {
+    const loader = t.mock.fn(async () => null);
+
+    await Promise.all([
+        cacheService.remember('empty', 60, loader),
+        cacheService.remember('empty', 60, loader)
+    ]);
+    assert.equal(loader.mock.callCount(), 1);
+
+    await cacheService.remember('empty', 60, loader);
+    assert.equal(loader.mock.callCount(), 2);
+});
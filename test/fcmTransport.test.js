@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const admin = require('firebase-admin');
+const fcmTransport = require('../src/transports/fcmTransport');
+
+const targets = (count) => Array.from({ length: count }, (_, i) => ({ token: `t${i}`, address: `t${i}` }));
+
+test('a failed multicast only fails the targets of its chunk', async (t) => {
+    let calls = 0;
+    const messaging = () => ({
+        sendEachForMulticast: async ({ tokens }) => {
+            calls++;
+            if (calls === 1) throw Object.assign(new Error('quota exceeded'), { code: 'messaging/quota-exceeded' });
+            return { responses: tokens.map(() => ({ success: true })) };
+        }
+    });
+    Object.defineProperty(admin, 'messaging', { configurable: true, value: messaging });
+    t.after(() => delete admin.messaging);
+
+    const results = await fcmTransport.send(targets(501), { title: 'A', body: 'B' }, {});
+
+    assert.equal(calls, 2);
+    assert.equal(results.length, 501);
+    assert.ok(results.slice(0, 500).every(r => !r.success && !r.invalid && r.error === 'messaging/quota-exceeded'));
+    assert.deepEqual(results[500], { success: true, invalid: false, error: null });
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCalendar, buildCalendarEtag } = require('../src/utils/ical');
+
+const match = {
+    id: 42,
+    status: 'not_started',
+    begin_at: '2026-02-01T18:00:00Z',
+    number_of_games: 3,
+    opponents: [{ opponent: { id: 1, name: 'Vitality' } }, { opponent: { id: 2, name: 'MOUZ' } }],
+    tournament: { name: 'Playoffs; Stage, "A"' },
+    league: { name: 'IEM' }
+};
+
+const unfold = (calendar) => calendar.replace(/\r\n /g, '');
+
+test('a calendar has one event per dated match, with CRLF line endings', () => {
+    const calendar = buildCalendar({ name: 'Vitality', matches: [match, { ...match, id: 43, begin_at: null }] });
+
+    assert.ok(calendar.startsWith('BEGIN:VCALENDAR\r\n'));
+    assert.ok(calendar.endsWith('END:VCALENDAR\r\n'));
+    assert.equal(calendar.split('BEGIN:VEVENT').length - 1, 1);
+    assert.match(calendar, /UID:match-42@/);
+    assert.match(calendar, /DTSTART:20260201T180000Z/);
+    // Estimated at an hour per map
+    assert.match(calendar, /DTEND:20260201T210000Z/);
+});
+
+test('text values are escaped and long lines folded', () => {
+    const calendar = buildCalendar({ name: 'x'.repeat(200), matches: [match] });
+
+    assert.ok(calendar.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+    assert.match(unfold(calendar), /LOCATION:Playoffs\\; Stage\\, "A"/);
+    assert.match(unfold(calendar), new RegExp(`X-WR-CALNAME:${'x'.repeat(200)}`));
+});
+
+test('the same matches give the same calendar and ETag', async () => {
+    const options = { name: 'Vitality', matches: [match] };
+    const first = buildCalendar(options);
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    const second = buildCalendar(options);
+
+    assert.equal(first, second);
+    assert.equal(buildCalendarEtag(first), buildCalendarEtag(second));
+    // Without modified_at the stamp is the begin time, not the time of the request
+    assert.match(first, /DTSTAMP:20260201T180000Z/);
+});
+
+test('modified_at is used as the event stamp when present', () => {
+    const calendar = buildCalendar({ name: 'x', matches: [{ ...match, modified_at: '2026-01-15T12:30:00Z' }] });
+    assert.match(calendar, /DTSTAMP:20260115T123000Z/);
+    assert.match(calendar, /LAST-MODIFIED:20260115T123000Z/);
+});
+
+test('a changed match changes the ETag', () => {
+    const before = buildCalendar({ name: 'x', matches: [match] });
+    const after = buildCalendar({ name: 'x', matches: [{ ...match, begin_at: '2026-02-01T19:00:00Z' }] });
+    assert.notEqual(buildCalendarEtag(before), buildCalendarEtag(after));
+});
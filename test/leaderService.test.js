@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const redisClient = require('../src/config/redis');
+const leaderService = require('../src/services/leaderService');
+
+// Just enough of Redis for the lock: SET NX PX and the renew script
+const fakeRedis = () => {
+    const locks = new Map(); // key -> { value, expiresAt }
+    const holder = (key) => {
+        const lock = locks.get(key);
+        return lock && lock.expiresAt > Date.now() ? lock.value : null;
+    };
+
+    return {
+        locks,
+        async set(key, value, { PX }) {
+            if (holder(key)) return null;
+            locks.set(key, { value, expiresAt: Date.now() + PX });
+            return 'OK';
+        },
+        async eval(script, { keys: [key], arguments: [value, ttl] }) {
+            if (holder(key) !== value) return 0;
+            locks.get(key).expiresAt = Date.now() + Number(ttl);
+            return 1;
+        }
+    };
+};
+
+const useRedis = (t, { url = 'redis://test', client = fakeRedis(), connected = true } = {}) => {
+    const previous = { url: process.env.REDIS_URL, client: redisClient.client, connected: redisClient.isConnected };
+    if (url) process.env.REDIS_URL = url;
+    else delete process.env.REDIS_URL;
+    redisClient.client = client;
+    redisClient.isConnected = connected;
+
+    // Election messages are not part of the assertions
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+
+    leaderService.mode = null;
+    leaderService.leaseUntil = 0;
+    const elected = [];
+    leaderService.onElected = () => elected.push(Date.now());
+
+    t.after(() => {
+        if (previous.url === undefined) delete process.env.REDIS_URL;
+        else process.env.REDIS_URL = previous.url;
+        redisClient.client = previous.client;
+        redisClient.isConnected = previous.connected;
+    });
+    return { client, elected };
+};
+
+test('without REDIS_URL the instance is always the leader', async (t) => {
+    const { elected } = useRedis(t, { url: null, client: null, connected: false });
+
+    await leaderService._tick();
+    await leaderService._tick();
+
+    assert.equal(leaderService.mode, 'single');
+    assert.equal(leaderService.isLeader, true);
+    assert.equal(elected.length, 1);
+});
+
+test('the lock is acquired once and renewed by its holder', async (t) => {
+    const { client, elected } = useRedis(t);
+
+    await leaderService._tick();
+    assert.equal(leaderService.isLeader, true);
+    assert.equal(client.locks.get(leaderService.LOCK_KEY).value, leaderService.instanceId);
+
+    const lease = leaderService.leaseUntil;
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await leaderService._tick();
+
+    assert.ok(leaderService.leaseUntil > lease);
+    assert.equal(elected.length, 1);
+});
+
+test('leadership is lost when another instance holds the lock', async (t) => {
+    const { client, elected } = useRedis(t);
+    client.locks.set(leaderService.LOCK_KEY, { value: 'other-instance', expiresAt: Date.now() + 30000 });
+
+    await leaderService._tick();
+
+    assert.equal(leaderService.isLeader, false);
+    assert.equal(elected.length, 0);
+});
+
+test('the leader steps down while Redis is unreachable and is elected again after', async (t) => {
+    const { client, elected } = useRedis(t);
+    await leaderService._tick();
+    assert.equal(leaderService.isLeader, true);
+
+    redisClient.isConnected = false;
+    await leaderService._tick();
+    assert.equal(leaderService.mode, 'cluster');
+    assert.equal(leaderService.isLeader, false);
+
+    // The lock expired during the outage
+    client.locks.clear();
+    redisClient.isConnected = true;
+    await leaderService._tick();
+    assert.equal(leaderService.isLeader, true);
+    assert.equal(elected.length, 2);
+});
+
+test('an instance that never reached Redis does not run the jobs', async (t) => {
+    const { elected } = useRedis(t, { connected: false });
+
+    await leaderService._tick();
+
+    assert.equal(leaderService.mode, 'cluster');
+    assert.equal(leaderService.isLeader, false);
+    assert.equal(elected.length, 0);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const localeService = require('../src/services/localeService');
+
+test('locale tags are normalized', () => {
+    assert.equal(localeService.normalize('PT_br'), 'pt-BR');
+    assert.equal(localeService.normalize('EN'), 'en');
+});
+
+test('fallback chains only contain loaded locales and end in English', () => {
+    assert.deepEqual(localeService.getFallbackChain('pt-BR'), ['pt-BR', 'pt', 'en']);
+    assert.deepEqual(localeService.getFallbackChain('de-AT'), ['de', 'en']);
+    assert.deepEqual(localeService.getFallbackChain('fr'), ['en']);
+});
+
+test('messages are rendered with their placeholders filled', () => {
+    const { title, body } = localeService.render('en', 'scoreUpdate', { team1: 'A', team2: 'B', score1: 1, score2: 0 });
+    assert.equal(title, '📊 SCORE UPDATE');
+    assert.equal(body, 'A 1 - 0 B');
+});
+
+test('unknown locales fall back to English', () => {
+    assert.deepEqual(
+        localeService.render('xx', 'matchStarting', { team1: 'A', team2: 'B' }),
+        localeService.render('en', 'matchStarting', { team1: 'A', team2: 'B' })
+    );
+});
+
+test('durations use the plural rules of the locale', () => {
+    assert.equal(localeService.formatDuration('en', { amount: 1, unit: 'h' }), '1 hour');
+    assert.equal(localeService.formatDuration('en', { amount: 10, unit: 'm' }), '10 minutes');
+    assert.equal(localeService.formatDuration('ru', { amount: 1, unit: 'h' }), '1 час');
+    assert.equal(localeService.formatDuration('ru', { amount: 2, unit: 'h' }), '2 часа');
+    assert.equal(localeService.formatDuration('ru', { amount: 5, unit: 'h' }), '5 часов');
+});
+
+test('duration parameters are formatted when rendering', () => {
+    const { body } = localeService.render('pt-BR', 'reminder', { team1: 'A', team2: 'B', lead: { amount: 1, unit: 'h' } });
+    assert.equal(body, 'A x B começa em 1 hora!');
+});
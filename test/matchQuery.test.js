@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMatchQuery, applyMatchQuery, toStoreFilters, parseArchiveQuery, buildMatchesEtag } = require('../src/utils/matchQuery');
+
+const cursorOf = (text) => Buffer.from(text).toString('base64url');
+
+const match = (id, beginAt, extra = {}) => ({
+    id,
+    status: 'not_started',
+    begin_at: beginAt,
+    opponents: [{ opponent: { id: 10, name: 'Natus Vincere', acronym: 'NAVI' } }, { opponent: { id: 20, name: 'FaZe' } }],
+    ...extra
+});
+
+const matches = [
+    match(3, '2026-01-03T10:00:00Z'),
+    match(1, '2026-01-01T10:00:00Z'),
+    match(2, '2026-01-01T10:00:00Z', { status: 'finished' }),
+    match(4, '2026-01-04T10:00:00Z', { opponents: [] })
+];
+
+test('parseMatchQuery validates values', () => {
+    assert.match(parseMatchQuery({ sort: 'name' }).error, /sort/);
+    assert.match(parseMatchQuery({ status: 'live' }).error, /status/);
+    assert.match(parseMatchQuery({ tournament: '1,x' }).error, /tournament/);
+    assert.match(parseMatchQuery({ from: 'yesterday' }).error, /from/);
+    assert.match(parseMatchQuery({ limit: '101' }).error, /limit/);
+    assert.match(parseMatchQuery({ page: '0' }).error, /page/);
+    assert.match(parseMatchQuery({ since: '1', limit: '10' }).error, /since/);
+});
+
+test('parseMatchQuery rejects malformed cursors', () => {
+    for (const cursor of ['garbage', cursorOf('abc:1'), cursorOf('1700000000000:x'), cursorOf('9e20:5')]) {
+        assert.deepEqual(parseMatchQuery({ cursor }), { error: 'Invalid cursor' });
+    }
+});
+
+test('parseMatchQuery accepts since as a date or a timestamp', () => {
+    assert.equal(parseMatchQuery({ since: '1700000000000' }).options.since, 1700000000000);
+    assert.equal(parseMatchQuery({ since: '2026-01-01T00:00:00Z' }).options.since, Date.parse('2026-01-01T00:00:00Z'));
+});
+
+test('applyMatchQuery filters by team name, acronym or id', () => {
+    const { options } = parseMatchQuery({ team: 'navi' });
+    assert.deepEqual(applyMatchQuery(matches, options).matches.map(m => m.id), [1, 2, 3]);
+
+    const byId = parseMatchQuery({ team: '20', status: 'finished' }).options;
+    assert.deepEqual(applyMatchQuery(matches, byId).matches.map(m => m.id), [2]);
+});
+
+test('applyMatchQuery sorts by begin time, then id', () => {
+    const { options } = parseMatchQuery({ sort: '-begin_at' });
+    assert.deepEqual(applyMatchQuery(matches, options).matches.map(m => m.id), [4, 3, 2, 1]);
+});
+
+test('cursor pagination walks every match once', () => {
+    const seen = [];
+    let cursor;
+
+    do {
+        const { options } = parseMatchQuery({ limit: '1', ...(cursor && { cursor }) });
+        const page = applyMatchQuery(matches, options);
+        seen.push(...page.matches.map(m => m.id));
+        cursor = page.nextCursor;
+    } while (cursor);
+
+    assert.deepEqual(seen, [1, 2, 3, 4]);
+});
+
+test('cursor pagination is stable when earlier matches are added', () => {
+    const first = applyMatchQuery(matches, parseMatchQuery({ limit: '2' }).options);
+    const { options } = parseMatchQuery({ limit: '2', cursor: first.nextCursor });
+
+    const grown = [...matches, match(0, '2025-12-31T10:00:00Z')];
+    assert.deepEqual(applyMatchQuery(grown, options).matches.map(m => m.id), [3, 4]);
+});
+
+test('page pagination reports the page', () => {
+    const { options } = parseMatchQuery({ limit: '3', page: '2' });
+    const result = applyMatchQuery(matches, options);
+    assert.deepEqual(result.matches.map(m => m.id), [4]);
+    assert.equal(result.page, 2);
+    assert.equal(result.nextCursor, null);
+});
+
+test('toStoreFilters only passes filters the indexes can answer', () => {
+    assert.deepEqual(toStoreFilters(parseMatchQuery({ team: '10,20', status: 'running' }).options), {
+        statuses: ['running'],
+        teamIds: [10, 20]
+    });
+    assert.deepEqual(toStoreFilters(parseMatchQuery({ team: 'navi' }).options), {});
+});
+
+test('parseArchiveQuery defaults to the newest first', () => {
+    assert.deepEqual(parseArchiveQuery({}).options, { sort: '-begin_at', limit: 50, page: 1 });
+    assert.match(parseArchiveQuery({ team: 'navi' }).error, /team/);
+});
+
+test('buildMatchesEtag depends on lastUpdate and the query, not its order', () => {
+    const etag = buildMatchesEtag('2026-01-01T00:00:00Z', { status: 'running', team: '1' });
+    assert.match(etag, /^W\/"/);
+    assert.equal(etag, buildMatchesEtag('2026-01-01T00:00:00Z', { team: '1', status: 'running' }));
+    assert.notEqual(etag, buildMatchesEtag('2026-01-01T00:00:01Z', { status: 'running', team: '1' }));
+    assert.notEqual(etag, buildMatchesEtag('2026-01-01T00:00:00Z', { status: 'running' }));
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const matchStore = require('../src/services/matchStore');
+
+// Without REDIS_URL the store runs on its in-memory copy
+
+const match = (id, status, teamIds = [1, 2]) => ({
+    id,
+    status,
+    begin_at: `2026-03-0${id}T10:00:00Z`,
+    opponents: teamIds.map(teamId => ({ opponent: { id: teamId } }))
+});
+
+test('lastUpdate only moves when matches change', async () => {
+    await matchStore.update([match(1, 'not_started')]);
+    const { lastUpdate } = await matchStore.getMeta();
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const unchanged = await matchStore.update([match(1, 'not_started')]);
+
+    assert.equal(unchanged.changed.length, 0);
+    assert.equal((await matchStore.getMeta()).lastUpdate, lastUpdate);
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await matchStore.update([match(1, 'running')]);
+    assert.notEqual((await matchStore.getMeta()).lastUpdate, lastUpdate);
+});
+
+test('changes and removals since a point in time are returned for delta sync', async () => {
+    await matchStore.update([match(2, 'not_started'), match(3, 'not_started')]);
+    const since = Date.parse((await matchStore.getMeta()).lastUpdate);
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await matchStore.update([match(2, 'running')], [3]);
+
+    const { matches, removed } = await matchStore.getChangesSince(since);
+    assert.deepEqual(matches.map(m => [m.id, m.status]), [[2, 'running']]);
+    assert.deepEqual(removed, [3]);
+    assert.equal(await matchStore.get(3), null);
+});
+
+test('queries filter by status, team and begin time', async () => {
+    await matchStore.update([match(4, 'finished', [7, 8]), match(5, 'not_started', [7, 9])]);
+
+    assert.deepEqual((await matchStore.query({ teamIds: [7] })).map(m => m.id), [4, 5]);
+    assert.deepEqual((await matchStore.query({ teamIds: [7], statuses: ['finished'] })).map(m => m.id), [4]);
+    assert.deepEqual((await matchStore.query({ from: Date.parse('2026-03-05T00:00:00Z') })).map(m => m.id), [5]);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const notificationQueue = require('../src/services/notificationQueue');
+
+// The queue is a singleton: each test starts it with its own handler on the memory backend
+const startQueue = async (t, handler) => {
+    notificationQueue.RETRY_BASE = 5;
+    notificationQueue.POLL_INTERVAL = 5;
+    notificationQueue.memoryKeys.clear();
+    notificationQueue.memoryDead = [];
+    notificationQueue.stats = { processed: 0, retried: 0, deadLettered: 0, duplicates: 0 };
+
+    await notificationQueue.start(handler);
+    t.after(() => notificationQueue.stop());
+};
+
+const waitFor = async (condition, timeout = 2000) => {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('Timed out');
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+};
+
+test('a job is sent once per idempotency key', async (t) => {
+    const sent = [];
+    await startQueue(t, async (job) => {
+        sent.push(job.key);
+        return { failedTokens: [] };
+    });
+
+    assert.equal(await notificationQueue.enqueue({ key: 'a', tokens: ['t1'] }), true);
+    assert.equal(await notificationQueue.enqueue({ key: 'a', tokens: ['t1', 't2'] }), false);
+    await waitFor(() => sent.length === 1);
+
+    assert.equal(await notificationQueue.enqueue({ key: 'a', tokens: ['t1'] }), false);
+    assert.deepEqual(sent, ['a']);
+    assert.equal(notificationQueue.stats.duplicates, 2);
+});
+
+test('failed tokens are retried in a new job', async (t) => {
+    const calls = [];
+    await startQueue(t, async (job) => {
+        calls.push({ key: job.key, tokens: job.tokens });
+        return { failedTokens: calls.length === 1 ? ['t2'] : [] };
+    });
+
+    await notificationQueue.enqueue({ key: 'b', tokens: ['t1', 't2'] });
+    await waitFor(() => calls.length === 2);
+
+    assert.deepEqual(calls, [{ key: 'b', tokens: ['t1', 't2'] }, { key: 'b#2', tokens: ['t2'] }]);
+    assert.equal(notificationQueue.stats.retried, 1);
+});
+
+test('a job failing every attempt is dead-lettered', async (t) => {
+    const attempts = [];
+    await startQueue(t, async (job, { lastAttempt }) => {
+        attempts.push(lastAttempt);
+        throw new Error('push service down');
+    });
+
+    await notificationQueue.enqueue({ key: 'c', tokens: ['t1'] });
+    await waitFor(() => notificationQueue.memoryDead.length === 1);
+
+    assert.deepEqual(attempts, [false, false, false, false, true]);
+
+    const status = await notificationQueue.getStatus(10);
+    assert.equal(status.backend, 'memory');
+    assert.equal(status.deadLetters, 1);
+    assert.equal(status.failures[0].job.key, 'c#5');
+    assert.equal(status.failures[0].error, 'push service down');
+});
+
+test('a key is released when the job cannot be queued', async (t) => {
+    await startQueue(t, async () => ({ failedTokens: [] }));
+
+    const push = notificationQueue._push;
+    notificationQueue._push = async () => {
+        throw new Error('queue unavailable');
+    };
+    await assert.rejects(notificationQueue.enqueue({ key: 'd', tokens: ['t1'] }), /queue unavailable/);
+    notificationQueue._push = push;
+
+    assert.equal(await notificationQueue.enqueue({ key: 'd', tokens: ['t1'] }), true);
+});
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const storage = require('../src/storage');
+const notificationService = require('../src/services/notificationService');
+
+const match = { id: 77, status: 'running', opponents: [] };
+
+const register = (token, preferences) => storage.hSet(notificationService.TOKENS_KEY, token, JSON.stringify({
+    favoriteTeams: [],
+    subscriptions: { matches: [match.id] },
+    language: 'en',
+    preferences
+}));
+
+test.before(() => storage.init());
+
+test.beforeEach((t) => {
+    t.mock.getter(notificationService, 'pushEnabled', () => true);
+});
+
+test('an invalid stored preference only resets that preference', () => {
+    const { preferences } = notificationService.parseUserData(JSON.stringify({
+        favoriteTeams: [],
+        preferences: {
+            events: { matchStarting: false, removedType: false },
+            timezone: 'Mars/Olympus',
+            quietHours: { start: '23:00', end: '08:00', mode: 'defer' },
+            reminders: ['unknown']
+        }
+    }));
+
+    assert.equal(preferences.events.matchStarting, false);
+    assert.equal('removedType' in preferences.events, false);
+    assert.equal(preferences.timezone, 'UTC');
+    assert.deepEqual(preferences.quietHours, { start: '23:00', end: '08:00', mode: 'defer' });
+    assert.equal(preferences.reminders, null);
+});
+
+test('quiet hours wrap around midnight in the user\'s time zone', () => {
+    const preferences = {
+        ...notificationService.defaultPreferences(),
+        quietHours: { start: '23:00', end: '08:00', mode: 'suppress' },
+        timezone: 'Europe/Istanbul' // UTC+3
+    };
+
+    assert.equal(notificationService.isQuietTime(preferences, new Date('2026-01-01T21:00:00Z')), true);
+    assert.equal(notificationService.isQuietTime(preferences, new Date('2026-01-01T04:59:00Z')), true);
+    assert.equal(notificationService.isQuietTime(preferences, new Date('2026-01-01T05:00:00Z')), false);
+    assert.equal(notificationService.isQuietTime(preferences, new Date('2026-01-01T19:59:00Z')), false);
+});
+
+test('notifications during quiet hours are deferred, then sent once they end', async (t) => {
+    const deliveries = [];
+    t.mock.method(notificationService, 'enqueueDelivery', async (key, tokens, language, messageType) => {
+        deliveries.push({ tokens, messageType });
+    });
+    t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-01-01T23:30:00Z') });
+
+    await register('deferring', { quietHours: { start: '23:00', end: '08:00', mode: 'defer' } });
+    await register('suppressing', { quietHours: { start: '23:00', end: '08:00', mode: 'suppress' } });
+    t.after(async () => {
+        await storage.hDel(notificationService.TOKENS_KEY, 'deferring');
+        await storage.hDel(notificationService.TOKENS_KEY, 'suppressing');
+    });
+
+    await notificationService.sendLocalizedNotification(match, 'scoreUpdate', { team1: 'A', team2: 'B', score1: 1, score2: 0 });
+    await notificationService.sendLocalizedNotification(match, 'matchFinished', { winner: 'A', loser: 'B', score: '2-0' });
+    assert.deepEqual(deliveries, []);
+
+    // Still quiet: nothing is flushed
+    await notificationService.flushDeferredNotifications();
+    assert.deepEqual(deliveries, []);
+
+    // Only the latest notification per match is kept
+    t.mock.timers.setTime(Date.parse('2026-01-02T08:05:00Z'));
+    await notificationService.flushDeferredNotifications();
+    assert.deepEqual(deliveries, [{ tokens: ['deferring'], messageType: 'matchFinished' }]);
+});
+
+test('expired history entries are not counted as unread', async (t) => {
+    const token = 'history';
+    const sentAt = (daysAgo) => new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000).toISOString();
+    await notificationService.recordHistory(token, { id: 'old', sentAt: sentAt(31) });
+    await notificationService.recordHistory(token, { id: 'a', sentAt: sentAt(2) });
+    await notificationService.recordHistory(token, { id: 'b', sentAt: sentAt(1) });
+    t.after(() => notificationService.clearHistory(token));
+
+    assert.equal(await notificationService.markHistoryRead(token, ['a']), 1);
+    assert.equal((await notificationService.getHistory(token)).unread, 1);
+
+    assert.equal(await notificationService.markHistoryRead(token), 0);
+    assert.equal((await notificationService.getHistory(token)).unread, 0);
+});
+
+test('a reminder stage fires once when the match starts within its window', async (t) => {
+    const sent = [];
+    t.mock.method(notificationService, 'sendLocalizedNotification', async (m, type, params, data) => {
+        sent.push(data.stage);
+    });
+    const now = Date.parse('2026-05-01T12:00:00Z');
+    const upcoming = (id, minutes) => ({
+        id,
+        status: 'not_started',
+        begin_at: new Date(now + minutes * 60 * 1000).toISOString(),
+        opponents: []
+    });
+
+    // Stages 24h, 1h and 10m: a stage fires from lead + 5 minutes down to half the lead
+    await notificationService.checkReminders(upcoming(601, 55), now);
+    await notificationService.checkReminders(upcoming(602, 20 * 60), now);
+    await notificationService.checkReminders(upcoming(603, 11 * 60), now);
+    await notificationService.checkReminders(upcoming(604, 66), now);
+    assert.deepEqual(sent, ['1h', '24h']);
+
+    // Not sent twice for the same begin time, sent again once rescheduled
+    await notificationService.checkReminders(upcoming(601, 55), now + 5 * 60 * 1000);
+    await notificationService.checkReminders(upcoming(601, 50), now);
+    assert.deepEqual(sent, ['1h', '24h', '1h']);
+});
+
+test('users get the reminder stages they picked, or the default ones', () => {
+    const defaults = notificationService.defaultPreferences();
+    const picked = { ...defaults, reminders: ['1h'] };
+
+    assert.equal(notificationService.wantsNotification(defaults, 'reminder', { stage: '10m' }), true);
+    assert.equal(notificationService.wantsNotification(defaults, 'reminder', { stage: '1h' }), false);
+    assert.equal(notificationService.wantsNotification(picked, 'reminder', { stage: '1h' }), true);
+    assert.equal(notificationService.wantsNotification(picked, 'reminder', { stage: '10m' }), false);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const pandascoreClient = require('../src/config/pandascoreClient');
+
+const httpError = (status, headers = {}) =>
+    Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers } });
+
+const networkError = () => Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+
+// The client is a singleton: each test starts from a closed circuit and a full bucket
+test.beforeEach((t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+
+    pandascoreClient.setRateLimit(1000, 10);
+    pandascoreClient.tokens = 10;
+    pandascoreClient.pausedUntil = 0;
+    pandascoreClient.BACKOFF_BASE = 1;
+    pandascoreClient.MAX_RETRIES = 3;
+    pandascoreClient.circuit = { state: 'closed', failures: 0, openedAt: null, probing: false };
+});
+
+const respond = (t, ...outcomes) => t.mock.method(pandascoreClient.http, 'get', async () => {
+    const outcome = outcomes.length > 1 ? outcomes.shift() : outcomes[0];
+    if (outcome instanceof Error) throw outcome;
+    return { data: outcome, headers: {} };
+});
+
+test('5xx responses and network errors are retried', async (t) => {
+    const get = respond(t, httpError(502), networkError(), ['ok']);
+
+    assert.deepEqual(await pandascoreClient.get('/csgo/matches'), ['ok']);
+    assert.equal(get.mock.callCount(), 3);
+    assert.equal(pandascoreClient.circuit.failures, 0);
+});
+
+test('other client errors are not retried and keep the circuit closed', async (t) => {
+    const get = respond(t, httpError(404));
+
+    await assert.rejects(pandascoreClient.get('/csgo/matches/1'), (error) => error.response.status === 404 && !error.statusCode);
+    assert.equal(get.mock.callCount(), 1);
+    assert.equal(pandascoreClient.circuit.state, 'closed');
+});
+
+test('an unreachable API fails with 503 after the last retry', async (t) => {
+    const get = respond(t, networkError());
+
+    await assert.rejects(pandascoreClient.get('/csgo/matches'), (error) => error.statusCode === 503);
+    assert.equal(get.mock.callCount(), pandascoreClient.MAX_RETRIES + 1);
+});
+
+test('requests wait for a token and fail when none comes in time', async (t) => {
+    respond(t, []);
+    pandascoreClient.setRateLimit(3600, 1); // One request per second
+    pandascoreClient.tokens = 1;
+
+    await pandascoreClient.get('/csgo/matches');
+    await assert.rejects(pandascoreClient.get('/csgo/matches', { maxWait: 10 }), (error) =>
+        error.code === 'RATE_LIMITED' && error.statusCode === 503
+    );
+});
+
+test('a 429 pauses requests for Retry-After', async (t) => {
+    pandascoreClient.MAX_RETRIES = 0;
+    respond(t, httpError(429, { 'retry-after': '120' }));
+
+    await assert.rejects(pandascoreClient.get('/csgo/matches'));
+    assert.ok(pandascoreClient.pausedUntil >= Date.now() + 119 * 1000);
+    await assert.rejects(pandascoreClient.get('/csgo/matches', { maxWait: 10 }), { code: 'RATE_LIMITED' });
+});
+
+test('the circuit opens after repeated failures and closes after a successful trial', async (t) => {
+    pandascoreClient.MAX_RETRIES = 0;
+    const get = respond(t, httpError(500));
+
+    for (let i = 0; i < pandascoreClient.FAILURE_THRESHOLD; i++) {
+        await assert.rejects(pandascoreClient.get('/csgo/matches'));
+    }
+    assert.equal(pandascoreClient.circuit.state, 'open');
+
+    await assert.rejects(pandascoreClient.get('/csgo/matches'), { code: 'CIRCUIT_OPEN' });
+    assert.equal(get.mock.callCount(), pandascoreClient.FAILURE_THRESHOLD);
+
+    // Once the open period is over a single trial request goes through
+    pandascoreClient.circuit.openedAt = Date.now() - pandascoreClient.OPEN_DURATION;
+    get.mock.mockImplementation(async () => ({ data: [], headers: {} }));
+    await pandascoreClient.get('/csgo/matches');
+    assert.equal(pandascoreClient.circuit.state, 'closed');
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const storage = require('../src/storage');
+const pandascoreClient = require('../src/config/pandascoreClient');
+const teamsService = require('../src/services/teamsService');
+const teamRegistryService = require('../src/services/teamRegistryService');
+
+const TEAMS = [
+    { id: 1, name: 'Natus Vincere', acronym: 'NAVI', slug: 'natus-vincere' },
+    { id: 2, name: 'Team Vitality', acronym: 'VIT', slug: 'vitality' },
+    { id: 3, name: '100', acronym: null, slug: '100' }
+];
+
+test.before(() => storage.init());
+
+test.beforeEach((t) => {
+    t.mock.method(teamsService, 'getAllTeams', async () => TEAMS);
+});
+
+test('names are normalized for comparison', () => {
+    assert.equal(teamRegistryService.normalizeName("Na'Vi"), 'navi');
+    assert.equal(teamRegistryService.normalizeName('Team Liquid'), 'teamliquid');
+});
+
+test('names resolve through the team list and built-in aliases', async () => {
+    assert.equal((await teamRegistryService.resolveTeam('natus vincere')).id, 1);
+    assert.equal((await teamRegistryService.resolveTeam('VIT')).id, 2);
+    // "Na'Vi" is only a built-in alias of the team's name
+    assert.equal((await teamRegistryService.resolveTeam("Na'Vi")).id, 1);
+});
+
+test('numeric names are names, numbers are ids', async () => {
+    assert.deepEqual(await teamRegistryService.resolveTeam('100'), { id: 3, name: '100', acronym: null });
+    assert.deepEqual(await teamRegistryService.resolveTeam(42), { id: 42, name: null, acronym: null });
+});
+
+test('the alias registry takes precedence over the team list', async (t) => {
+    await teamRegistryService.setAlias('Vitality', 99);
+    t.after(() => teamRegistryService.removeAlias('Vitality'));
+
+    assert.equal((await teamRegistryService.resolveTeam('vitality')).id, 99);
+});
+
+test('unknown names are searched on PandaScore unless searches are disabled', async (t) => {
+    const get = t.mock.method(pandascoreClient, 'get', async () => [{ id: 7, name: 'Old Team', acronym: 'OLD' }]);
+
+    const { resolved, unresolved } = await teamRegistryService.resolveTeams(['Old Team', 'Nobody'], { search: false });
+    assert.deepEqual([resolved, unresolved], [[], ['Old Team', 'Nobody']]);
+    assert.equal(get.mock.callCount(), 0);
+
+    assert.deepEqual(await teamRegistryService.resolveTeam('Old Team'), { id: 7, name: 'Old Team', acronym: 'OLD' });
+    assert.equal(await teamRegistryService.resolveTeam('Nobody'), null);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const storage = require('../src/storage');
+const teamStatsService = require('../src/services/teamStatsService');
+const pandascoreClient = require('../src/config/pandascoreClient');
+
+const finished = (id, [a, b], winnerId, day, games = []) => ({
+    id,
+    status: 'finished',
+    begin_at: `2026-01-${String(day).padStart(2, '0')}T10:00:00Z`,
+    opponents: [{ opponent: { id: a, name: `Team ${a}` } }, { opponent: { id: b, name: `Team ${b}` } }],
+    winner_id: winnerId,
+    results: [{ team_id: a, score: a === winnerId ? 2 : 1 }, { team_id: b, score: b === winnerId ? 2 : 1 }],
+    tournament_id: 5,
+    games
+});
+
+const map = (name, winnerId) => ({ status: 'finished', map: { name }, winner: { id: winnerId } });
+
+test.before(() => storage.init());
+
+test('a result is seen from the given team', () => {
+    const result = teamStatsService.toResult(finished(1, [10, 20], 20, 1, [map('Mirage', 20)]), 10);
+
+    assert.equal(result.result, 'loss');
+    assert.deepEqual(result.score, [1, 2]);
+    assert.equal(result.opponent.id, 20);
+    assert.deepEqual(result.maps, [{ name: 'Mirage', result: 'loss' }]);
+});
+
+test('summaries count results, form, streak and maps', () => {
+    const results = ['win', 'win', 'loss', 'draw', 'win', 'loss'].map((result, index) => ({
+        result,
+        beginAt: `2026-01-${String(10 - index).padStart(2, '0')}T10:00:00Z`,
+        maps: index < 2 ? [{ name: 'Nuke', result }] : []
+    }));
+
+    const summary = teamStatsService.summarize(results);
+
+    assert.deepEqual([summary.wins, summary.losses, summary.draws], [3, 2, 1]);
+    assert.equal(summary.winRate, 50);
+    assert.deepEqual(summary.form, ['W', 'W', 'L', 'D', 'W']);
+    assert.deepEqual(summary.streak, { type: 'win', count: 2 });
+    assert.deepEqual(summary.maps.Nuke, { played: 2, wins: 2, losses: 0, winRate: 100 });
+    assert.equal(summary.lastMatchAt, '2026-01-10T10:00:00Z');
+});
+
+test('windows are validated', () => {
+    assert.deepEqual(teamStatsService.parseWindow({}), { window: null });
+    assert.deepEqual(teamStatsService.parseWindow({ last: '5' }), { window: { last: 5 } });
+    assert.match(teamStatsService.parseWindow({ last: '0' }).error, /last/);
+    assert.match(teamStatsService.parseWindow({ last: '5', from: '2026-01-01' }).error, /either/);
+    assert.match(teamStatsService.parseWindow({ from: 'soon' }).error, /ISO/);
+});
+
+test('recorded matches update stats and results of both teams', async () => {
+    await teamStatsService.recordMatches([
+        finished(101, [30, 40], 30, 1),
+        finished(102, [30, 50], 50, 2),
+        { ...finished(103, [30, 40], null, 3), status: 'running' }
+    ]);
+
+    const stats = await teamStatsService.getStats(30);
+    assert.deepEqual([stats.matches, stats.wins, stats.losses], [2, 1, 1]);
+    assert.deepEqual(stats.form, ['L', 'W']);
+
+    const results = await teamStatsService.getResults(30, { last: 1 });
+    assert.deepEqual(results.map(r => r.matchId), [102]);
+
+    const opponent = await teamStatsService.getStats(40);
+    assert.deepEqual([opponent.matches, opponent.losses], [1, 1]);
+});
+
+test('a corrected result replaces the recorded one', async () => {
+    await teamStatsService.recordMatches([finished(201, [60, 70], 60, 1)]);
+    await teamStatsService.recordMatches([finished(201, [60, 70], 70, 1)]);
+
+    const stats = await teamStatsService.getStats(60);
+    assert.deepEqual([stats.matches, stats.wins, stats.losses], [1, 0, 1]);
+});
+
+test('from/to windows filter results by begin time', async () => {
+    await teamStatsService.recordMatches([finished(301, [80, 90], 80, 5), finished(302, [80, 90], 80, 15)]);
+
+    const { window } = teamStatsService.parseWindow({ from: '2026-01-10T00:00:00Z' });
+    const stats = await teamStatsService.getStats(80, window);
+    assert.equal(stats.matches, 1);
+});
+
+test('head-to-head uses stored meetings without asking PandaScore', async (t) => {
+    const get = t.mock.method(pandascoreClient, 'get', async () => []);
+    await teamStatsService.recordMatches([finished(401, [110, 120], 110, 1), finished(402, [110, 120], 120, 2)]);
+
+    const { value } = await teamStatsService.getHeadToHead(110, 120);
+
+    assert.equal(get.mock.callCount(), 0);
+    assert.equal(value.source, 'archive');
+    assert.deepEqual(value.meetings.map(m => m.matchId), [402, 401]);
+    assert.deepEqual(value.record, { wins: 1, losses: 1, draws: 0 });
+    assert.deepEqual(value.lastWinner, { teamId: 120, matchId: 402, beginAt: '2026-01-02T10:00:00Z' });
+});
+
+test('head-to-head asks PandaScore for one page when no meeting is stored', async (t) => {
+    const get = t.mock.method(pandascoreClient, 'get', async () => [
+        finished(501, [130, 140], 130, 3),
+        finished(502, [130, 150], 130, 2)
+    ]);
+
+    const { value } = await teamStatsService.getHeadToHead(130, 140);
+
+    assert.equal(get.mock.callCount(), 1);
+    assert.equal(get.mock.calls[0].arguments[1].params['filter[opponent_id]'], '130,140');
+    assert.equal(value.source, 'pandascore');
+    assert.deepEqual(value.meetings.map(m => m.matchId), [501]);
+});
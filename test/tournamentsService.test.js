@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const pandascoreClient = require('../src/config/pandascoreClient');
+const matchStore = require('../src/services/matchStore');
+const tournamentsService = require('../src/services/tournamentsService');
+
+const match = (id, day) => ({ id, status: 'not_started', tournament_id: 9, begin_at: `2026-04-0${day}T10:00:00Z` });
+
+const tournament = (id, matchIds) => ({
+    id,
+    begin_at: '2026-04-01T00:00:00Z',
+    end_at: '2026-04-09T00:00:00Z',
+    matches: matchIds.map(matchId => ({ id: matchId }))
+});
+
+test('tournament matches come from the cache when it holds all of them', async (t) => {
+    await matchStore.update([match(901, 2), match(902, 1)]);
+    t.mock.method(tournamentsService, 'getTournament', async (id) => tournament(id, [901, 902]));
+    const get = t.mock.method(pandascoreClient, 'get', async () => []);
+
+    const { matches, source } = await tournamentsService.getTournamentMatches(9);
+
+    assert.equal(source, 'cache');
+    assert.deepEqual(matches.map(m => m.id), [902, 901]);
+    assert.equal(get.mock.callCount(), 0);
+});
+
+test('tournament matches are fetched when one is missing from the cache', async (t) => {
+    t.mock.method(tournamentsService, 'getTournament', async (id) => tournament(id, [901, 903]));
+    const get = t.mock.method(pandascoreClient, 'get', async () => [match(903, 3), match(901, 2)]);
+
+    const { matches, source } = await tournamentsService.getTournamentMatches(10);
+
+    assert.equal(source, 'pandascore');
+    assert.deepEqual(matches.map(m => m.id), [901, 903]);
+    assert.equal(get.mock.calls[0].arguments[1].params['filter[tournament_id]'], 10);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const axios = require('axios');
+const storage = require('../src/storage');
+const notificationQueue = require('../src/services/notificationQueue');
+const webhookService = require('../src/services/webhookService');
+
+// An IP literal resolves without a DNS server
+const PUBLIC_URL = 'https://93.184.216.34/hook';
+
+const match = {
+    id: 55,
+    status: 'running',
+    tournament_id: 3,
+    opponents: [{ opponent: { id: 1, name: 'A' } }, { opponent: { id: 2, name: 'B' } }],
+    results: [{ team_id: 1, score: 1 }, { team_id: 2, score: 0 }]
+};
+
+const createWebhook = (t) => webhookService.createWebhook({
+    url: PUBLIC_URL,
+    filter: { type: 'teams', id: 1 },
+    secret: 's'.repeat(32)
+}).then(webhook => {
+    t.after(() => webhookService.deleteWebhook(webhook.id));
+    return webhook;
+});
+
+test.before(() => storage.init());
+
+test('requests are signed with the HMAC of timestamp and body', async (t) => {
+    const post = t.mock.method(axios, 'post', async () => ({ status: 200 }));
+    const webhook = { id: 'w1', url: PUBLIC_URL, secret: 'top-secret-signing-key' };
+
+    await webhookService.post(webhook, 'scoreUpdate', 'd1', '{"a":1}');
+
+    const [url, body, { headers }] = post.mock.calls[0].arguments;
+    const expected = crypto.createHmac('sha256', webhook.secret)
+        .update(`${headers['X-Webhook-Timestamp']}.${body}`)
+        .digest('hex');
+    assert.equal(url, PUBLIC_URL);
+    assert.equal(headers['X-Webhook-Signature'], `sha256=${expected}`);
+    assert.equal(headers['X-Webhook-Delivery'], 'd1');
+    assert.equal(headers['X-Webhook-Event'], 'scoreUpdate');
+});
+
+test('hosts in private, loopback and link-local ranges are rejected', async () => {
+    for (const url of [
+        'http://127.0.0.1/', 'http://localhost:8080/', 'http://10.1.2.3/', 'http://192.168.0.10/',
+        'http://169.254.169.254/latest/meta-data', 'http://[::1]/', 'http://[::ffff:127.0.0.1]/', 'http://[fe80::1]/'
+    ]) {
+        assert.match(await webhookService.checkHost(url), /private, loopback or link-local/, url);
+    }
+    assert.equal(await webhookService.checkHost(PUBLIC_URL), null);
+
+    await assert.rejects(
+        webhookService.createWebhook({ url: 'http://127.0.0.1:6379/', filter: { type: 'teams', id: 1 } }),
+        (error) => error.statusCode === 400
+    );
+});
+
+test('events are queued once per webhook', async (t) => {
+    const webhook = await createWebhook(t);
+    notificationQueue.memoryJobs = [];
+
+    await webhookService.dispatch(match, 'scoreUpdate', { team1: 'A', team2: 'B', score1: 1, score2: 0 }, '55:scoreUpdate:1-0');
+    await webhookService.dispatch(match, 'scoreUpdate', { team1: 'A', team2: 'B', score1: 1, score2: 0 }, '55:scoreUpdate:1-0');
+
+    assert.equal(notificationQueue.memoryJobs.length, 1);
+    const [job] = notificationQueue.memoryJobs;
+    assert.equal(job.key, `webhook:${webhook.id}:55:scoreUpdate:1-0`);
+    assert.equal(job.channel, webhookService.JOB_CHANNEL);
+    assert.equal(JSON.parse(job.body).id, job.deliveryId);
+});
+
+test('failed deliveries are retried by the queue, rejected ones are final', async (t) => {
+    const webhook = await createWebhook(t);
+    const job = { webhookId: webhook.id, event: 'scoreUpdate', matchId: 55, deliveryId: 'd2', body: '{}', attempt: 1 };
+    const fail = (status) => t.mock.method(axios, 'post', async () => {
+        throw Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+    });
+
+    fail(503);
+    await assert.rejects(webhookService.processJob(job, { lastAttempt: false }), /503/);
+    assert.equal((await webhookService.getDeliveries(webhook.id)).length, 0);
+
+    await assert.rejects(webhookService.processJob({ ...job, attempt: 5 }, { lastAttempt: true }), /503/);
+    assert.deepEqual((await webhookService.getDeliveries(webhook.id)).map(d => [d.status, d.attempts]), [[503, 5]]);
+
+    t.mock.restoreAll();
+    fail(404);
+    assert.deepEqual(await webhookService.processJob(job, { lastAttempt: false }), { failedTokens: [] });
+    assert.equal((await webhookService.getDeliveries(webhook.id))[0].status, 404);
+});